@@ -14,28 +14,23 @@
  * limitations under the License.
  */
 
-const { Storage } = require('@google-cloud/storage');
-const { GoogleAuth } = require('google-auth-library');
-const jwt = require('jsonwebtoken');
 const Pass = require('./pass');
+const { barcodes, pkpasses } = require('./pass/utils.js');
 const database = require('./database.js');
+const images = require('./images.js');
+const { WalletClient, WalletApiError, JwtBuilder, CallbackVerifier } = require('./wallet');
+const { In } = require('typeorm');
 const express = require('express');
 const upload = require('express-fileupload');
 const fs = require('fs');
+const globSync = require('glob').globSync;
 const path = require('path');
 const URL = require('url').URL;
-const NodeCache = require('node-cache');
 const nanoid = require('nanoid').nanoid;
 const apn = require('apn');
-const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const axios = require('axios');
 const config = require('./config.js');
 
-/**
- * Internal cache of images
- * @type {NodeCache}
- */
-const images = new NodeCache();
-
 /**
  * Google service account credentials
  * @type {Object}
@@ -43,53 +38,67 @@ const images = new NodeCache();
 const credentials = config.googleServiceAccountJsonPath && require(config.googleServiceAccountJsonPath);
 
 /**
- * HTTP client for making API calls
- * @type {GoogleAuth}
+ * Google Wallet API client
+ * @type {WalletClient}
+ */
+const wallet = new WalletClient({ credentials, ...config.walletApi });
+
+/**
+ * Builder for Add to Google Wallet JWTs
+ * @type {JwtBuilder}
+ */
+const jwtBuilder = new JwtBuilder({ credentials, wallet, ...config.googleJwt });
+
+/**
+ * Verifier for Google Wallet callback messages
+ * @type {CallbackVerifier}
  */
-const httpClient = new GoogleAuth({
-  credentials: credentials,
-  scopes: 'https://www.googleapis.com/auth/wallet_object.issuer',
+const callbackVerifier = new CallbackVerifier({
+  issuerId: config.googleIssuerId,
+  keysUrl: config.googleCallbackKeysUrl,
 });
 
 /**
  * Handler function for images to handle saving and hosting
  * @param {string} uri The URI of the image handler
  * @returns {Buffer} Request buffer
- * @todo `buffer()` is deprecated, use `body.arrayBuffer()` instead
  */
 async function googleImageHandler(uri) {
-  return (await fetch(uri)).buffer();
+  return Buffer.from((await axios.get(uri, { responseType: 'arraybuffer' })).data);
 }
 
 /**
- *
+ * Stores an image from a PKPass in the configured image store, so it can be
+ *     referenced by URL in a Google Wallet pass
  * @param {Buffer} imageBuffer Binary string buffer for the image file
+ * @param {string} imageHost Image host URL, for images served by the converter
+ * @param {Function} warn Handler for conversion warnings
  * @returns {string} URI for the image on the image host
  */
-async function pkpassImageHandler(imageBuffer, imageHost) {
-  // Generate a randomized name for the image file
-  const imageName = `image-${nanoid()}.png`;
-
-  // If you're using Google Cloud Storage, this will store the image there
-  // Otherwise, the image is added to the local cache
-  if (config.googleStorageBucket) {
-    // Generate the object URI
-    imageHost = `https://storage.googleapis.com/${config.googleStorageBucket}/`;
+async function pkpassImageHandler(imageBuffer, imageHost, warn = console.warn) {
+  if (imageBuffer === undefined) {
+    warn('Pass has no image for a Google Wallet image field, the field will be left empty');
+    return;
+  }
 
-    // Create a Cloud Storage client
-    const storage = new Storage({ serviceAccountFile: config.googleServiceAccountJsonPath });
+  // Name the image after its contents, so images shared by passes are stored once
+  const imageName = images.name(imageBuffer);
+  await images.save(imageName, imageBuffer);
 
-    // Store the image in the bucket
-    await storage.bucket(config.googleStorageBucket).file(imageName).save(imageBuffer);
+  // Use the image store's URL if it hosts images itself
+  // Otherwise, the image is served by the converter's /image/ endpoint
+  const imageUrl = images.url(imageName);
+  if (imageUrl) {
+    return imageUrl;
   } else if (imageHost) {
     if (new Set(['localhost', '127.0.0.1']).has(new URL(imageHost).hostname)) {
       return;
     }
-    // Add the image to the cache
-    images.set(imageName, imageBuffer);
   } else {
-    // Called when converting pass locally without GCS configured
-    console.warn(`Cannot determine public host for image ${imageName} as googleStorageBucket config is not defined. The resulting pass will not be savable to Google Wallet without adding the URL for this image.`);
+    // Called when converting pass locally without a public image host configured
+    warn(
+      `Cannot determine public host for image ${imageName} as the image store has no public URL. The resulting pass will not be savable to Google Wallet without adding the URL for this image.`,
+    );
     imageHost = '';
   }
 
@@ -97,113 +106,122 @@ async function pkpassImageHandler(imageBuffer, imageHost) {
   return `${imageHost}${imageName}`;
 }
 
+/**
+ * Report the warnings recorded while converting a pass
+ * @param {Pass} pass The converted pass
+ * @param {Function} warn Handler for conversion warnings
+ */
+function reportWarnings(pass, warn = console.warn) {
+  pass.warnings.forEach(warning => warn(`${warning.message} (${warning.code})`));
+}
+
+/**
+ * Find the stored record for a pass
+ * @param {string} serialNumber The pass's serial number
+ * @param {string} googlePrefix The pass's Google Wallet type prefix
+ * @returns {Object} The pass record, or null if the pass isn't stored
+ */
+async function findPassRecord(serialNumber, googlePrefix) {
+  return database.getRepository('passes').findOne({ where: { serialNumber, googlePrefix } });
+}
+
+/**
+ * Store a pass, replacing the stored pass with the same serial number and
+ *     Google Wallet prefix if there is one, so each pass is only stored once
+ * @param {Object} record The pass record's columns, where undefined columns
+ *     keep their stored values
+ */
+async function savePassRecord(record) {
+  const stored = await findPassRecord(record.serialNumber, record.googlePrefix);
+  const columns = Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined));
+  await database
+    .getRepository('passes')
+    .save({ authenticationToken: nanoid(), passTypeId: config.pkPassPassTypeId, ...stored, ...columns });
+}
+
 /**
  * Convert from Google Wallet pass to Apple PKPass
  * @param {Object} googlePass The JWT's `payload` property
- * @returns {Buffer} Binary string buffer of the PKPass file data
+ * @returns {Array} Binary string buffers of the PKPass file data, one for each pass object in the payload
  */
 async function googleToPkPass(googlePass, apiHost) {
-  // Extract the pass data from the JWT payload
-  const pass = Pass.fromGoogle(googlePass);
+  const pkPassBuffers = [];
+  for (const payload of Pass.splitGooglePayload(googlePass)) {
+    // Extract the pass data from the JWT payload
+    const pass = Pass.fromGoogle(payload)[0];
 
-  pass.webServiceURL = apiHost;
-  pass.authenticationToken = nanoid();
+    pass.webServiceURL = apiHost;
+    // Keep the token of a pass converted before, as devices the pass is on authenticate with it
+    const stored = await findPassRecord(pass.id, pass.googlePrefix);
+    pass.authenticationToken = stored ? stored.authenticationToken : nanoid();
+    pass.rotatingBarcodeTime = Date.now();
 
-  database.getRepository('passes').save({
-    serialNumber: pass.id,
-    webServiceURL: pass.webServiceURL,
-    authenticationToken: pass.authenticationToken,
-    passTypeId: config.pkPassPassTypeId,
-    googlePrefix: pass.googlePrefix,
-  });
+    await savePassRecord({
+      serialNumber: pass.id,
+      webServiceURL: pass.webServiceURL,
+      authenticationToken: pass.authenticationToken,
+      passTypeId: config.pkPassPassTypeId,
+      googlePrefix: pass.googlePrefix,
+      googlePayload: JSON.stringify(payload),
+      snapshot: JSON.stringify(pass.toSnapshot()),
+      updatedAt: pass.rotatingBarcodeTime,
+    });
 
-  // Return a string buffer
-  return Buffer.from(await pass.toPkPass(googleImageHandler), 'base64');
-}
+    // Add a string buffer
+    pkPassBuffers.push(Buffer.from(await pass.toPkPass(googleImageHandler), 'base64'));
+    reportWarnings(pass);
+  }
 
-function encodeJwt(payload, checkLength = true) {
-  const token = jwt.sign(
-    {
-      iss: credentials.client_email,
-      aud: 'google',
-      origins: ['www.example.com'],
-      typ: 'savetowallet',
-      payload: payload,
-    },
-    credentials.private_key,
-    { algorithm: 'RS256' },
-  );
-  const length = token.length;
-  // Change the length check here to 0 to force API use,
-  // or something large to skip API use, although some
-  // browsers may not suport the request.
-  if (checkLength && length > 1800) {
-    throw `Encoded jwt too large (${length})`;
-  }
-  return token;
+  return pkPassBuffers;
 }
 
 /**
- * Convert a PKPass to a Google Wallet pass
- * @param {Buffer} pkPass Binary string buffer for the PKPass archive
+ * Convert a PKPass, or every PKPass in a .pkpasses bundle, to Google Wallet passes
+ * @param {Buffer} pkPass Binary string buffer for the PKPass or .pkpasses archive
  * @param {string} imageHost Image host URL
- * @returns {string} Add to Google Wallet link
+ * @returns {Array} Add to Google Wallet JWTs, either a single JWT saving every pass,
+ *     or one JWT for each pass if googleBundleLinks config is "separate"
  */
 async function pkPassToGoogle(pkPass, imageHost) {
   if (!credentials) {
     throw `Cannot convert to Google Wallet pass, googleServiceAccountJsonPath config must be defined`;
   }
 
-  // Create the intermediary pass object
-  const pass = Pass.fromPkPass(pkPass);
-
-  // Convert to Google Wallet pass
-  const googlePass = await pass.toGoogle(async imageBuffer => pkpassImageHandler(imageBuffer, imageHost));
-
-  // Create the JWT token for the "Save to Wallet" URL, avoiding the Wallet API if the token is small enough.
-  // If the token is too large, strip the class from it and save it via API, and try again.
-  // If the token is still too large, strip all but the ID from it, and save the object via API.
-  let token;
-  try {
-    token = encodeJwt(googlePass);
-  } catch (error) {
-    // Create class via API.
-    console.log(error, '- stripping class from payload and creating via api');
-    try {
-      await httpClient.request({
-        url: `https://walletobjects.googleapis.com/walletobjects/v1/${pass.googlePrefix}Class/`,
-        method: 'POST',
-        data: googlePass[pass.googlePrefix + 'Classes'][0],
-      });
-    } catch (error) {
-      console.error('Error creating class', error);
-    }
-    // Strip class from payload.
-    delete googlePass[pass.googlePrefix + 'Classes'];
-    try {
-      token = encodeJwt(googlePass);
-    } catch (error) {
-      console.log(error, '- stripping object from payload and creating via api');
-      try {
-        // Create the object via API.
-        await httpClient.request({
-          url: `https://walletobjects.googleapis.com/walletobjects/v1/${pass.googlePrefix}Object/`,
-          method: 'POST',
-          data: googlePass[pass.googlePrefix + 'Objects'][0],
-        });
-      } catch (error) {
-        console.error('Error creating object', error);
+  // Create the intermediary pass objects and convert them to Google Wallet passes
+  const googlePasses = [];
+  for (const pass of Pass.fromPkPasses(pkPass)) {
+    const snapshot = pass.toSnapshot();
+    const googlePass = await pass.toGoogle(async imageBuffer => pkpassImageHandler(imageBuffer, imageHost));
+    if (config.googleCallbackUrl) {
+      // Have Google Wallet report when users save or delete the pass
+      for (const key of Object.keys(googlePass).filter(key => key.endsWith('Classes'))) {
+        googlePass[key].forEach(cls => (cls.callbackOptions = { url: config.googleCallbackUrl }));
       }
-      // Strip all but ID from payload.
-      googlePass[pass.googlePrefix + 'Objects'][0] = {
-        id: googlePass[pass.googlePrefix + 'Objects'][0].id,
-      };
-      token = encodeJwt(googlePass, false);
     }
+    googlePasses.push(googlePass);
+    reportWarnings(pass);
+
+    // Store the pass, so later updates to it can be compared with it
+    await savePassRecord({
+      serialNumber: pass.id,
+      webServiceURL: pass.webServiceURL,
+      authenticationToken: pass.authenticationToken,
+      passTypeId: pass.typeId,
+      googlePrefix: pass.googlePrefix,
+      googlePayload: JSON.stringify(googlePass),
+      snapshot: JSON.stringify(snapshot),
+      updatedAt: Date.now(),
+    });
   }
 
-  // Return the Add to Google Wallet link
-  return 'https://pay.google.com/gp/v/save/' + token;
+  if (config.googleBundleLinks === 'separate') {
+    const tokens = [];
+    for (const googlePass of googlePasses) {
+      tokens.push(await jwtBuilder.build(googlePass));
+    }
+    return tokens;
+  }
+  return [await jwtBuilder.build(Pass.joinGooglePayloads(googlePasses))];
 }
 
 /**
@@ -223,6 +241,23 @@ function sendBuffer(res, mimeType, name, buffer) {
     .send(buffer);
 }
 
+/**
+ * Respond with a failed conversion's error. Errors from the Wallet API are
+ *     passed on if they were caused by the request (e.g. an invalid pass), and
+ *     reported as a bad gateway otherwise.
+ * @param {Response} res Response for the conversion request
+ * @param {*} error The error
+ */
+function sendConversionError(res, error) {
+  console.error(error);
+  if (error instanceof WalletApiError) {
+    const status = error.status >= 400 && error.status < 500 && error.status !== 429 ? error.status : 502;
+    res.status(status).json({ error: error.message, reason: error.reason });
+  } else {
+    res.status(500).send('Conversion failed, please check console output for details');
+  }
+}
+
 // Start the Express server
 const app = express();
 app.use(upload());
@@ -240,22 +275,57 @@ if (DEMO) {
 /**
  * Get a hosted image (used by Google Wallet API during pass creation)
  */
-app.get('/image/:name', (req, res) => {
-  sendBuffer(res, 'image/png', req.params.name, images.get(req.params.name));
+app.get('/image/:name', async (req, res) => {
+  // Only serve image names created by the image store, which can't traverse directories
+  const contentType = images.contentType(req.params.name);
+  if (!contentType || !/^[0-9a-f]{64}\.\w+$/.test(req.params.name)) {
+    res.status(404).end();
+    return;
+  }
+
+  let imageBuffer;
+  try {
+    imageBuffer = await images.load(req.params.name);
+  } catch (error) {
+    console.error(error);
+    res.status(502).end();
+    return;
+  }
+  if (imageBuffer === undefined) {
+    res.status(404).end();
+    return;
+  }
+
+  // Image names are hashes of their contents, so they can be cached indefinitely
+  res
+    .set({
+      'Content-Type': contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'ETag': `"${req.params.name.split('.')[0]}"`,
+    })
+    .send(imageBuffer);
 });
 
 /**
- * Middleware wrapping pass conversion methods. Ensures auth header present,
- * and sets some request variables for the pass conversion to access.
+ * Middleware ensuring the auth header set by the upstream web server is present
  */
-app.use('/convert/', (req, res, next) => {
+function authenticateRequest(req, res, next) {
   if (!DEMO && req.headers[config.authHeader] === undefined) {
     if (config.authHeader === undefined) {
       console.error('converterAuthHeader config must be defined and set by upstream web server');
     }
     res.status(401).end();
     return;
-  } else if (!req.files) {
+  }
+  next();
+}
+
+/**
+ * Middleware wrapping pass conversion methods. Ensures auth header present,
+ * and sets some request variables for the pass conversion to access.
+ */
+app.use('/convert/', authenticateRequest, (req, res, next) => {
+  if (!req.files) {
     // No files were included in the request
     res.status(400).end();
     return;
@@ -263,7 +333,21 @@ app.use('/convert/', (req, res, next) => {
 
   req.passFile = req.files[Object.keys(req.files)[0]].data;
   req.passText = req.passFile.toString();
-  req.fullUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+  // Reject PKPass files that fail manifest or signature verification,
+  // if a root certificate is configured to verify them against
+  if (config.pkPassWwdrRootCertPath && req.passText.charAt(0) !== '{') {
+    let report;
+    try {
+      report = Pass.verifyPkPass(req.passFile);
+    } catch (error) {
+      report = { valid: false, error: String(error) };
+    }
+    if (!report.valid) {
+      res.status(400).json(report);
+      return;
+    }
+  }
 
   try {
     next();
@@ -277,69 +361,234 @@ app.use('/convert/', (req, res, next) => {
  * Receive a pass file and creates passes for the other supported platforms.
  */
 app.post('/convert/', async (req, res) => {
+  try {
+    await convertPass(req, res);
+  } catch (error) {
+    sendConversionError(res, error);
+  }
+});
+
+/**
+ * Convert a pass file to passes for the other supported platforms
+ * @param {Request} req Request with the pass file
+ * @param {Response} res Response for the converted passes
+ */
+async function convertPass(req, res) {
   if (req.passText.charAt(0) === '{') {
     // The file text is a JSON object (Google Wallet pass), convert it to a PKPass
-    const pkPassBuffer = await googleToPkPass(JSON.parse(req.passText), req.fullUrl);
-    // Respond with the PKPass file
-    sendBuffer(res, 'application/vnd.apple.pkpass', 'pass.pkpass', pkPassBuffer);
+    // Devices append the /v1/ endpoints to the web service URL, so use the host root
+    const pkPassBuffers = await googleToPkPass(JSON.parse(req.passText), `${req.protocol}://${req.get('host')}/`);
+    if (pkPassBuffers.length === 1) {
+      // Respond with the PKPass file
+      sendBuffer(res, 'application/vnd.apple.pkpass', 'pass.pkpass', pkPassBuffers[0]);
+    } else {
+      // Respond with the PKPass files bundled together
+      sendBuffer(res, pkpasses.mimeType, 'passes.pkpasses', pkpasses.bundle(pkPassBuffers));
+    }
   } else {
-    // The file is a PKPass, convert to a Google Wallet pass
-    const googlePassUrl = await pkPassToGoogle(req.passFile, `${req.fullUrl}image/`);
-    // Redirect to the Add to Google Wallet URL
-    res.redirect(googlePassUrl);
+    // The file is a PKPass or .pkpasses bundle, convert to Google Wallet passes
+    const tokens = await pkPassToGoogle(req.passFile, `${req.protocol}://${req.get('host')}/image/`);
+    const response = req.query.response || (config.googleJwt && config.googleJwt.response) || 'redirect';
+    if (response === 'jwt') {
+      // Respond with the JWTs, for web apps rendering their own Add to Google Wallet buttons
+      res.json(tokens.length === 1 ? { jwt: tokens[0] } : { jwts: tokens });
+    } else if (response === 'button') {
+      // Respond with an Add to Google Wallet button for each pass
+      res.type('html').send(tokens.map(token => jwtBuilder.button(token)).join('\n'));
+    } else if (tokens.length === 1) {
+      // Redirect to the Add to Google Wallet URL
+      res.redirect(jwtBuilder.link(tokens[0]));
+    } else {
+      // Respond with an Add to Google Wallet URL for each pass
+      res.json({ links: tokens.map(token => jwtBuilder.link(token)) });
+    }
   }
-});
+}
+
+/**
+ * Store the latest content of an updated pass, which is used to serve updated
+ *     PKPass files to devices, storing the pass if it wasn't stored before
+ * @param {Pass} pass The updated pass
+ * @param {Object} googlePass The updated Google Wallet JWT payload
+ * @param {Object} snapshot Snapshot of the pass, taken before conversion
+ * @param {Array} changes The changes since the stored pass, if known
+ */
+async function storePassUpdate(pass, googlePass, snapshot, changes) {
+  await savePassRecord({
+    serialNumber: pass.id,
+    webServiceURL: pass.webServiceURL,
+    authenticationToken: pass.authenticationToken,
+    googlePrefix: pass.googlePrefix,
+    googlePayload: JSON.stringify(googlePass),
+    snapshot: JSON.stringify(snapshot),
+    changes: changes ? JSON.stringify(changes) : null,
+    updatedAt: Date.now(),
+  });
+}
+
+/**
+ * Notify the devices a PKPass is registered on that it has been updated,
+ *     including changes to its state (e.g. voided or expired), via Apple Push
+ *     Notifications. The devices then request the updated PKPass.
+ * @param {Pass} pass The updated pass
+ */
+function notifyDevices(pass) {
+  database
+    .getRepository('registrations')
+    .find({ where: { serialNumber: pass.id } })
+    .then(async registrations => {
+      if (registrations.length === 0) {
+        return;
+      }
+      const apnProvider = new apn.Provider(config.apn);
+      try {
+        await Promise.all(
+          registrations.map(registration =>
+            apnProvider.send(new apn.Notification(), registration.pushToken).then(result => {
+              console.log('apn push', result);
+            }),
+          ),
+        );
+      } finally {
+        // Close the provider's connection, which is opened for each update
+        apnProvider.shutdown();
+      }
+    })
+    .catch(error => {
+      console.error(`Could not notify devices of update to pass ${pass.id}`, error);
+    });
+}
 
 /**
  * Receive a pass file and uses it to update existing passes for all supported platforms.
  */
 app.patch('/convert/', async (req, res) => {
-  let pass, googlePass;
-  if (req.passText.charAt(0) === '{') {
-    googlePass = JSON.parse(req.passText);
-    pass = Pass.fromGoogle(googlePass);
-
-    database
-      .getRepository('registrations')
-      .find({ serialNumber: pass.id })
-      .then(registrations => {
-        const apnProvider = new apn.Provider(config.apn);
-        registrations.forEach(registration => {
-          apnProvider.send(new apn.Notification(), registration.pushToken).then(result => {
-            console.log('apn push', result);
-          });
-        });
+  try {
+    let updates;
+    if (req.passText.charAt(0) === '{') {
+      // Update each pass object in the payload separately
+      updates = Pass.splitGooglePayload(JSON.parse(req.passText)).map(googlePass => {
+        const pass = Pass.fromGoogle(googlePass)[0];
+        return { pass, googlePass, snapshot: pass.toSnapshot() };
       });
-  } else {
-    pass = Pass.fromPkPass(req.passFile);
-    googlePass = await pass.toGoogle(async imageBuffer => pkpassImageHandler(imageBuffer, `${req.fullUrl}image/`));
-  }
+    } else {
+      const pass = Pass.fromPkPass(req.passFile);
+      const snapshot = pass.toSnapshot();
+      const googlePass = await pass.toGoogle(async imageBuffer =>
+        pkpassImageHandler(imageBuffer, `${req.protocol}://${req.get('host')}/image/`),
+      );
+      reportWarnings(pass);
+      updates = [{ pass, googlePass, snapshot }];
+    }
 
-  // Update the object via API.
-  try {
-    const id = googlePass[pass.googlePrefix + 'Objects'][0].id;
-    const response = await httpClient.request({
-      url: `https://walletobjects.googleapis.com/walletobjects/v1/${pass.googlePrefix}Objects/${id}`,
-      method: 'PATCH',
-      data: googlePass[pass.googlePrefix + 'Objects'][0],
-    });
-    res.json(response.data);
+    const mode = config.googleUpdateMessages && config.googleUpdateMessages.mode;
+    const responses = [];
+    for (const { pass, googlePass, snapshot } of updates) {
+      const obj = googlePass[pass.googlePrefix + 'Objects'][0];
+
+      // Compare the pass with the stored pass, before conversion changed it.
+      // Passes that aren't stored can't be compared, so are always updated.
+      const previous = await storedPass(pass);
+      const changes = previous && Pass.fromSnapshot(snapshot).changes(previous);
+      if (changes && changes.length === 0) {
+        // The object is unchanged since it was last saved
+        console.log(`Pass ${pass.id} is unchanged, skipping update`);
+        responses.push(obj);
+        continue;
+      }
+
+      // Alert Google Wallet users to the changes, as devices do for PKPass
+      // fields with a changeMessage
+      const message = googleUpdateMessage(changes);
+      if (message && mode === 'attach') {
+        obj.messages = [...(obj.messages || []), message];
+      }
+
+      // Update the object via API, creating it if it hasn't been saved yet.
+      let response = await wallet.upsertObject(pass.googlePrefix, obj);
+      if (message && mode === 'addMessage') {
+        response = await wallet.addObjectMessage(pass.googlePrefix, obj.id, message);
+      }
+
+      // Store the updated pass only once the object is updated, so a failed update
+      // isn't skipped as unchanged when it's retried, then notify devices so they
+      // fetch the new content. Passes sent as PKPass files may also be on devices
+      // as a PKPass converted from their Google Wallet pass, which need updating
+      // too (e.g. when the pass is voided)
+      await storePassUpdate(pass, googlePass, snapshot, changes);
+      notifyDevices(pass);
+      responses.push(response);
+    }
+    res.json(responses.length === 1 ? responses[0] : responses);
   } catch (error) {
-    console.error(error);
-    res.status(error.response && error.response.status ? error.response.status : 400).end();
+    sendConversionError(res, error);
   }
 });
 
+/**
+ * Get the stored version of a pass, from before it's updated
+ * @param {Pass} pass The updated pass
+ * @returns {Pass} The stored pass, or undefined if it isn't stored
+ */
+async function storedPass(pass) {
+  const record = await findPassRecord(pass.id, pass.googlePrefix);
+  return record && record.snapshot ? Pass.fromSnapshot(JSON.parse(record.snapshot)) : undefined;
+}
+
+/**
+ * Create the Google Wallet message alerting users to the changes in an
+ *     updated pass, if configured by googleUpdateMessages
+ * @param {Array} changes The changes since the stored pass, if known, see
+ *     `Pass.changes`
+ * @returns {Object} The message, or undefined if there are no changes to
+ *     alert users to
+ */
+function googleUpdateMessage(changes) {
+  const options = config.googleUpdateMessages || {};
+  if (changes === undefined || ['attach', 'addMessage'].indexOf(options.mode) === -1) {
+    return;
+  }
+  const properties = options.properties || [];
+  const lines = changes
+    .filter(change =>
+      properties.length === 0
+        ? change.value !== undefined
+        : properties.includes(change.property) || properties.includes(change.key),
+    )
+    .map(change => {
+      if (change.value !== undefined) {
+        return `${change.label}: ${change.value}`;
+      }
+      return change.removed ? `${change.label} removed` : `${change.label} updated`;
+    });
+  if (lines.length === 0) {
+    return;
+  }
+
+  const now = Date.now();
+  return {
+    id: `update-${now}`,
+    header: options.header || 'Pass updated',
+    body: lines.join('\n'),
+    // Messages added via the API notify users, others are only shown on the pass
+    messageType: options.mode === 'addMessage' ? 'TEXT_AND_NOTIFY' : 'TEXT',
+    displayInterval: {
+      start: { date: new Date(now).toISOString() },
+      end: { date: new Date(now + (options.displayHours || 24) * 60 * 60 * 1000).toISOString() },
+    },
+  };
+}
+
 // Remaining endpoints implement the spec for updatable PKPass files,
 // as per https://developer.apple.com/documentation/walletpasses/adding_a_web_service_to_update_passes
 
 /**
- * Middleware wrapping the endpoints for managing PKPass updates.
+ * Middleware for the endpoints managing a specific PKPass.
  * Validates auth token against database, and assigns matching pass record to the request.
  */
-app.use('/v1/', (req, res, next) => {
+function authenticatePass(req, res, next) {
   const prefix = 'ApplePass ';
-  const header = req.headers['http_authorization'];
+  const header = req.headers['authorization'];
   const authenticationToken = header && header.indexOf(prefix) === 0 ? header.replace(prefix, '') : '';
 
   database
@@ -359,13 +608,13 @@ app.use('/v1/', (req, res, next) => {
         next();
       }
     });
-});
+}
 
 /**
  * Called when PKPass is added to iOS device - create a registration record with push token we can send when pass is later updated.
  */
-app.post('/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber', (req, res) => {
-  const uuid = `${req.params.device_id}-${req.params.serial_number}`;
+app.post('/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber', authenticatePass, (req, res) => {
+  const uuid = `${req.params.deviceId}-${req.params.serialNumber}`;
   const registrations = database.getRepository('registrations');
 
   registrations.count({ where: { uuid } }).then(count => {
@@ -373,7 +622,7 @@ app.post('/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber', (req,
     if (status === 201) {
       registrations.save({
         uuid: uuid,
-        deviceId: req.params.passTypeId,
+        deviceId: req.params.deviceId,
         passTypeId: req.params.passTypeId,
         serialNumber: req.params.serialNumber,
         pushToken: req.body['pushToken'],
@@ -384,49 +633,241 @@ app.post('/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber', (req,
 });
 
 /**
- * Called when updated PKPass is requested.
+ * Get the time a stored pass was last updated, which is used as the PKPass web service update tag.
+ * If rotatingBarcodeRefresh config is enabled, passes with rotating barcodes are also updated each time
+ * their barcode value changes, so devices fetch the new value.
+ * @param {Object} passRecord The stored pass
+ * @returns {number} The update time in milliseconds
  */
-app.get('/v1/passes/:pass_type_id/:serial_number', async (req, res) => {
-  // Retrieve pass content from Wallet API.
-  httpClient
-    .request({
-      url: `https://walletobjects.googleapis.com/walletobjects/v1/${req.passRecord.googlePrefix}Object/${config.googleIssuerId}.${req.passRecord.serialNumber}`,
-      method: 'GET',
-    })
-    .then(response => {
-      // Convert to PKPass and send as response.
-      Pass.fromGoogle({
-        [`${req.passRecord.googlePrefix}Classes`]: [response.data.classReference],
-        [`${req.passRecord.googlePrefix}Objects`]: [response.data],
-      })
-        .toPkPass(googleImageHandler)
-        .then(pkPassBuffer => {
-          sendBuffer(res, 'application/vnd.apple.pkpass', 'pass.pkpass', Buffer.from(pkPassBuffer, 'base64'));
-        });
+function passUpdatedAt(passRecord) {
+  const updatedAt = Number(passRecord.updatedAt || 0);
+  if (config.rotatingBarcodeRefresh && passRecord.snapshot) {
+    const pass = Pass.fromSnapshot(JSON.parse(passRecord.snapshot));
+    const value = pass.rotatingBarcode && barcodes.rotatingValue(pass.rotatingBarcode, Date.now());
+    if (value) {
+      return Math.max(updatedAt, value.starts);
+    }
+  }
+  return updatedAt;
+}
+
+/**
+ * Called when iOS device requests the passes that have changed (after a push notification) -
+ * respond with the serial numbers of the device's passes updated since the given tag.
+ */
+app.get('/v1/devices/:deviceId/registrations/:passTypeId', async (req, res) => {
+  const registrations = await database.getRepository('registrations').find({
+    where: { deviceId: req.params.deviceId, passTypeId: req.params.passTypeId },
+  });
+
+  // The tag is the updatedAt time of the most recently updated pass in the previous response
+  const since = Number(req.query.passesUpdatedSince);
+  const passes = (
+    await database.getRepository('passes').find({
+      where: {
+        passTypeId: req.params.passTypeId,
+        serialNumber: In(registrations.map(registration => registration.serialNumber)),
+      },
     })
-    .catch(error => {
-      console.error('Updated PKPass requested, but could not retrieve', error);
-      res.status(400).end();
-    });
+  ).filter(pass => isNaN(since) || passUpdatedAt(pass) > since);
+
+  if (passes.length === 0) {
+    res.status(204).end();
+    return;
+  }
+
+  res.json({
+    serialNumbers: passes.map(pass => pass.serialNumber),
+    lastUpdated: String(Math.max(...passes.map(passUpdatedAt))),
+  });
+});
+
+/**
+ * Called when updated PKPass is requested.
+ */
+app.get('/v1/passes/:passTypeId/:serialNumber', authenticatePass, async (req, res) => {
+  const prefix = req.passRecord.googlePrefix;
+
+  // Tell the device the pass hasn't changed since it last fetched it.
+  const lastModified = new Date(passUpdatedAt(req.passRecord));
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+  if (!isNaN(ifModifiedSince) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000)) {
+    res.status(304).end();
+    return;
+  }
+
+  try {
+    // Use the stored pass content, unless configured to retrieve it from the Wallet API.
+    let googlePass = req.passRecord.googlePayload ? JSON.parse(req.passRecord.googlePayload) : undefined;
+    if (config.googleApiPassUpdates || googlePass === undefined) {
+      const obj = await wallet.getObject(prefix, `${config.googleIssuerId}.${req.passRecord.serialNumber}`);
+      if (obj === undefined) {
+        throw `${prefix}Object ${req.passRecord.serialNumber} not found`;
+      }
+      // Only some pass types include the class in the object, otherwise fall back to the stored class.
+      googlePass = {
+        [`${prefix}Classes`]: [obj.classReference || (googlePass && googlePass[`${prefix}Classes`][0])],
+        [`${prefix}Objects`]: [obj],
+      };
+    }
+
+    // Convert to PKPass, keeping the web service details so the device continues receiving updates.
+    const pass = Pass.fromGoogle(googlePass)[0];
+    pass.webServiceURL = req.passRecord.webServiceURL;
+    pass.authenticationToken = req.passRecord.authenticationToken;
+    // Show change messages for the fields changed by the last update.
+    pass.lastChanges = req.passRecord.changes ? JSON.parse(req.passRecord.changes) : undefined;
+    if (!config.rotatingBarcodeRefresh) {
+      // Keep showing rotating barcodes with the value the pass was issued or last updated with.
+      pass.rotatingBarcodeTime = Number(req.passRecord.updatedAt) || undefined;
+    }
+    const pkPassBuffer = await pass.toPkPass(googleImageHandler);
+    reportWarnings(pass);
+    res.set('Last-Modified', lastModified.toUTCString());
+    sendBuffer(res, 'application/vnd.apple.pkpass', 'pass.pkpass', Buffer.from(pkPassBuffer, 'base64'));
+  } catch (error) {
+    console.error('Updated PKPass requested, but could not retrieve', error);
+    res.status(400).end();
+  }
 });
 
 /**
  * Called when PKPass is removed from device - remove registration record.
  */
-app.delete('/v1/devices/:device_id/registrations/:pass_type_id/:serial_number', (req, res) => {
-  const uuid = `${req.params.device_id}-${req.params.serial_number}`;
+app.delete('/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber', authenticatePass, (req, res) => {
+  const uuid = `${req.params.deviceId}-${req.params.serialNumber}`;
   const registrations = database.getRepository('registrations');
 
   registrations.findOne({ where: { uuid } }).then(registration => {
     let status = 401;
     if (registration != null) {
-      status = 201;
+      status = 200;
       registrations.remove(registration);
     }
     res.status(status).end();
   });
 });
 
+/**
+ * Called when iOS device has errors to report about the web service.
+ */
+app.post('/v1/log', (req, res) => {
+  (req.body.logs || []).forEach(log => console.warn('PKPass web service log:', log));
+  res.status(200).end();
+});
+
+// The following endpoints receive Google Wallet callbacks, as per
+// https://developers.google.com/wallet/generic/use-cases/use-callbacks-for-saves-and-deletions
+
+/**
+ * Called by Google Wallet when a user saves or deletes a pass of a class with
+ *     callbacks - records when the object was saved or deleted.
+ */
+app.post('/callbacks/google', async (req, res) => {
+  let message;
+  try {
+    message = await callbackVerifier.verify(req.body);
+  } catch (error) {
+    console.error('Invalid Google Wallet callback', error);
+    res.status(400).end();
+    return;
+  }
+
+  const column = { save: 'savedAt', del: 'deletedAt' }[message.eventType];
+  if (column !== undefined) {
+    const googleObjects = database.getRepository('googleObjects');
+    const record = (await googleObjects.findOne({ where: { objectId: message.objectId } })) || {
+      objectId: message.objectId,
+      classId: message.classId,
+    };
+    // Google Wallet redelivers messages, which may arrive after later messages.
+    // Messages expire a fixed time after they're sent, so messages expiring
+    // before the last recorded message were sent before it.
+    const expTimeMillis = Number(message.expTimeMillis);
+    if (message.nonce === record.nonce || expTimeMillis < Number(record.expTimeMillis || 0)) {
+      console.log(`Ignoring redelivered Google Wallet callback for ${message.objectId}`);
+    } else {
+      await googleObjects.save({ ...record, [column]: Date.now(), nonce: message.nonce, expTimeMillis });
+    }
+  }
+  res.status(200).end();
+});
+
+/**
+ * Get the save and delete status of a Google Wallet object
+ * @param {Object} record The object's database record
+ * @returns {Object} The status, with times in milliseconds, and whether the
+ *     object is in the user's wallet
+ */
+function googleObjectStatus(record) {
+  const savedAt = record.savedAt === null ? undefined : Number(record.savedAt);
+  const deletedAt = record.deletedAt === null ? undefined : Number(record.deletedAt);
+  return {
+    objectId: record.objectId,
+    classId: record.classId,
+    savedAt,
+    deletedAt,
+    inWallet: savedAt !== undefined && (deletedAt === undefined || savedAt > deletedAt),
+  };
+}
+
+/**
+ * Lists the Google Wallet objects users have saved or deleted, optionally
+ *     for a single class, with the number currently in users' wallets.
+ */
+app.get('/callbacks/status', authenticateRequest, async (req, res) => {
+  const where = req.query.classId ? { classId: req.query.classId } : {};
+  const objects = (await database.getRepository('googleObjects').find({ where })).map(googleObjectStatus);
+  res.json({
+    inWallets: objects.filter(object => object.inWallet).length,
+    saved: objects.filter(object => object.savedAt !== undefined).length,
+    deleted: objects.filter(object => object.deletedAt !== undefined).length,
+    objects,
+  });
+});
+
+/**
+ * Gets the save and delete status of a Google Wallet object.
+ */
+app.get('/callbacks/status/:objectId', authenticateRequest, async (req, res) => {
+  const record = await database.getRepository('googleObjects').findOne({ where: { objectId: req.params.objectId } });
+  if (record === null) {
+    res.status(404).end();
+  } else {
+    res.json(googleObjectStatus(record));
+  }
+});
+
+/**
+ * Converts a pass file on the local filesystem to the other platform
+ * @param {string} inputPath Path to input pass
+ * @param {Function} warn Handler for conversion warnings
+ * @returns {Object|Buffer} Google Wallet JWT payload, or PKPass or .pkpasses archive buffer
+ */
+async function convertPassFile(inputPath, warn = console.warn) {
+  switch (path.extname(inputPath)) {
+    case '.pkpass':
+    case '.pkpasses':
+      // Convert a PKPass, or every PKPass in a bundle, to a Google Wallet pass
+      const googlePasses = [];
+      for (const pass of Pass.fromPkPasses(fs.readFileSync(inputPath))) {
+        googlePasses.push(await pass.toGoogle(async imageBuffer => pkpassImageHandler(imageBuffer, undefined, warn)));
+        reportWarnings(pass, warn);
+      }
+      return Pass.joinGooglePayloads(googlePasses);
+    case '.json':
+      // Convert a Google Wallet pass to a PKPass, bundling several passes as a .pkpasses
+      const pkPassBuffers = [];
+      for (const pass of Pass.fromGoogle(JSON.parse(fs.readFileSync(inputPath, 'utf8')))) {
+        pkPassBuffers.push(await pass.toPkPass(googleImageHandler));
+        reportWarnings(pass, warn);
+      }
+      return pkPassBuffers.length === 1 ? pkPassBuffers[0] : pkpasses.bundle(pkPassBuffers);
+    default:
+      throw `Unsupported pass file extension ${path.extname(inputPath)}`;
+  }
+}
+
 /**
  * Handles local conversion of passes on the command-line
  * @param {string} inputPath Path to input pass
@@ -437,21 +878,11 @@ async function convertPassLocal(inputPath, outputPath) {
   const stringify = pass => JSON.stringify(pass, null, 2);
 
   const ext = path.extname(inputPath);
-  let pass;
-  switch (ext) {
-    case '.pkpass':
-      // Convert a PKPass to a Google Wallet pass
-      pass = await Pass.fromPkPass(fs.readFileSync(inputPath)).toGoogle(pkpassImageHandler);
-      break;
-    case '.json':
-      // Convert a Google Wallet pass to a PKPass
-      pass = await Pass.fromGoogle(require(inputPath)).toPkPass(googleImageHandler);
-      break;
-  }
+  let pass = await convertPassFile(inputPath);
 
   if (outputPath) {
     // Write to local filesystem
-    if (ext === '.pkpass') {
+    if (ext !== '.json') {
       // Convert the pass to a string
       pass = stringify(pass);
     }
@@ -460,17 +891,123 @@ async function convertPassLocal(inputPath, outputPath) {
     // Write the JSON output to the console
     if (ext === '.json') {
       // For PKPass, use the pass.json contents
-      pass = JSON.parse(new require('adm-zip')(pass).getEntry('pass.json').getData().toString('utf8'));
+      pass = pkpasses
+        .extract(pass)
+        .map(pkPass => JSON.parse(new require('adm-zip')(pkPass).getEntry('pass.json').getData().toString('utf8')));
+      pass = pass.length === 1 ? pass[0] : pass;
     }
     console.log(stringify(pass));
   }
 }
 
+/**
+ * Handles local conversion of a directory or glob of passes on the command-line
+ * @param {string} input Path to input directory, or glob matching input passes
+ * @param {string} outputDir Directory to save converted passes, mirroring the
+ *     input directory structure
+ */
+async function convertPassesLocal(input, outputDir) {
+  // Find the pass files, and the directory their output paths are relative to
+  let baseDir, inputPaths;
+  if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+    baseDir = input;
+    inputPaths = globSync('**/*.{pkpass,pkpasses,json}', { cwd: input, nodir: true }).map(name =>
+      path.join(input, name),
+    );
+  } else {
+    const segments = input.split(/[\\/]/);
+    const wildcard = segments.findIndex(segment => /[*?[\]{}]/.test(segment));
+    baseDir = segments.slice(0, wildcard).join(path.sep) || '.';
+    inputPaths = globSync(input, { nodir: true }).filter(name => /\.(pkpass(es)?|json)$/.test(name));
+  }
+  inputPaths.sort();
+
+  const report = { succeeded: 0, failed: {}, warnings: {} };
+
+  // Convert a single pass, recording the outcome in the report
+  const convert = async inputPath => {
+    const warnings = [];
+    try {
+      let pass = await convertPassFile(inputPath, message => warnings.push(message));
+      if (path.extname(inputPath) !== '.json') {
+        pass = JSON.stringify(pass, null, 2);
+      }
+
+      // PKPass outputs keep the source extension (e.g. "a.pkpass.json" and "a.pkpasses.json"),
+      // so they can't overwrite each other or the PKPass converted from "a.json"
+      const outputPath = path
+        .join(outputDir, path.relative(baseDir, inputPath))
+        .replace(/\.(pkpass(es)?|json)$/, ext =>
+          ext !== '.json' ? `${ext}.json` : pkpasses.isBundle(pass) ? '.pkpasses' : '.pkpass',
+        );
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, pass);
+      report.succeeded++;
+    } catch (error) {
+      report.failed[inputPath] = error.message || String(error);
+    }
+    if (warnings.length > 0) {
+      report.warnings[inputPath] = warnings;
+    }
+  };
+
+  // Run a fixed number of workers, each taking the next pass from the list
+  let next = 0;
+  const worker = async () => {
+    while (next < inputPaths.length) {
+      await convert(inputPaths[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, config.batchConcurrency || 1) }, worker));
+
+  // Print the summary report
+  Object.entries(report.warnings).forEach(([inputPath, warnings]) => {
+    warnings.forEach(warning => console.warn(`Warning: ${inputPath}: ${warning}`));
+  });
+  Object.entries(report.failed).forEach(([inputPath, message]) => {
+    console.error(`Failed: ${inputPath}: ${message}`);
+  });
+  console.log(
+    `Converted ${report.succeeded} of ${inputPaths.length} passes ` +
+      `(${Object.keys(report.failed).length} failed, ${Object.keys(report.warnings).length} with warnings)`,
+  );
+
+  // Exit with an error status so scripts can detect failed conversions
+  if (Object.keys(report.failed).length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Handles local verification of PKPass files on the command-line
+ * @param {string} inputPath Path to input PKPass
+ */
+function verifyPassLocal(inputPath) {
+  const report = Pass.verifyPkPass(fs.readFileSync(inputPath));
+  console.log(JSON.stringify(report, null, 2));
+
+  // Exit with an error status so scripts can detect forged or broken passes
+  if (!report.valid) {
+    process.exitCode = 1;
+  }
+}
+
 /**
  * Entrypoint - Handles command-line and Express server invocation
  */
 async function main() {
-  if (arg(2) && !DEMO) {
+  if (arg(2) === 'verify') {
+    // Command-line verification
+    verifyPassLocal(arg(3));
+  } else if (arg(2) && !DEMO && (/[*?[\]{}]/.test(arg(2)) || fs.statSync(arg(2)).isDirectory())) {
+    // Command-line batch invocation
+    if (!arg(3)) {
+      console.error('Usage: node app.js <pass input directory or glob> <pass output directory>');
+      process.exitCode = 1;
+      return;
+    }
+    await convertPassesLocal(arg(2), arg(3));
+  } else if (arg(2) && !DEMO) {
     // Command-line invocation
     await convertPassLocal(arg(2), arg(3));
   } else {
@@ -482,4 +1019,9 @@ async function main() {
   }
 }
 
-main().catch(console.error);
+// Run when invoked from the command-line, rather than required (e.g. by tests)
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = { app, convertPassFile, convertPassesLocal };
@@ -9,6 +9,15 @@ const passes = new typeorm.EntitySchema({
     authenticationToken: { type: 'varchar' },
     passTypeId: { type: 'varchar' },
     googlePrefix: { type: 'varchar' },
+    webServiceURL: { type: 'varchar', nullable: true },
+    // Last converted Google Wallet JWT payload (class and object), as JSON
+    googlePayload: { type: 'text', nullable: true },
+    // Last converted Pass, as a JSON snapshot
+    snapshot: { type: 'text', nullable: true },
+    // Time the pass was last updated, in milliseconds, used as the PKPass web service update tag
+    updatedAt: { type: 'bigint', nullable: true },
+    // Changes made by the last update, as JSON, used to show PKPass change messages
+    changes: { type: 'text', nullable: true },
   },
 });
 
@@ -24,4 +33,22 @@ const registrations = new typeorm.EntitySchema({
   },
 });
 
-module.exports = new typeorm.DataSource(Object.assign({ entities: [passes, registrations] }, config.database));
+// Google Wallet objects that users have saved to or deleted from their wallets,
+// as reported by Google Wallet callbacks
+const googleObjects = new typeorm.EntitySchema({
+  name: 'googleObjects',
+  columns: {
+    objectId: { primary: true, type: 'varchar' },
+    classId: { type: 'varchar' },
+    // Times the object was last saved and deleted, in milliseconds
+    savedAt: { type: 'bigint', nullable: true },
+    deletedAt: { type: 'bigint', nullable: true },
+    // Nonce and expiry time of the last recorded callback message, to ignore redelivered messages
+    nonce: { type: 'varchar', nullable: true },
+    expTimeMillis: { type: 'bigint', nullable: true },
+  },
+});
+
+module.exports = new typeorm.DataSource(
+  Object.assign({ entities: [passes, registrations, googleObjects] }, config.database),
+);
@@ -0,0 +1,314 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Storage } = require('@google-cloud/storage');
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const config = require('./config.js');
+
+/**
+ * Image file extensions and their MIME types, with the leading bytes that
+ *     identify each format
+ * @type {Object}
+ */
+const formats = {
+  png: { contentType: 'image/png', signature: [0x89, 0x50, 0x4e, 0x47] },
+  jpg: { contentType: 'image/jpeg', signature: [0xff, 0xd8, 0xff] },
+  gif: { contentType: 'image/gif', signature: [0x47, 0x49, 0x46, 0x38] },
+  webp: { contentType: 'image/webp', signature: [0x52, 0x49, 0x46, 0x46] },
+};
+
+/**
+ * Base class for image stores, which host the images referenced by URL in
+ *     Google Wallet passes
+ * @class
+ */
+class ImageStore {
+  /**
+   * Names an image after a hash of its contents, so identical images are
+   *     only stored once
+   * @param {Buffer} imageBuffer Binary string buffer for the image file
+   * @returns {string} The image file name
+   */
+  name(imageBuffer) {
+    const extension =
+      Object.keys(formats).find(extension =>
+        formats[extension].signature.every((byte, i) => imageBuffer[i] === byte),
+      ) || 'png';
+    return `${crypto.createHash('sha256').update(imageBuffer).digest('hex')}.${extension}`;
+  }
+
+  /**
+   * Gets the MIME type of an image from its file name
+   * @param {string} name The image file name
+   * @returns {string} The MIME type, or undefined if not a supported image
+   */
+  contentType(name) {
+    const format = formats[path.extname(name).slice(1)];
+    return format && format.contentType;
+  }
+
+  /**
+   * Gets the public URL of a stored image, for stores that host images
+   *     themselves rather than via the converter's `/image/:name` endpoint
+   * @param {string} name The image file name
+   * @returns {string} The image URL, or undefined if served by the converter
+   */
+  url(name) {
+    return;
+  }
+
+  /**
+   * Stores an image
+   * @param {string} name The image file name
+   * @param {Buffer} imageBuffer Binary string buffer for the image file
+   * @abstract
+   */
+  async save(name, imageBuffer) {
+    throw 'ImageStore.save() must be implemented';
+  }
+
+  /**
+   * Loads a stored image
+   * @param {string} name The image file name
+   * @returns {Buffer} Binary string buffer for the image file, or undefined
+   *     if the image is not stored
+   * @abstract
+   */
+  async load(name) {
+    throw 'ImageStore.load() must be implemented';
+  }
+}
+
+/**
+ * Stores images in a directory on the local filesystem
+ * @class
+ */
+class LocalImageStore extends ImageStore {
+  /**
+   * @param {Object} options Image store config, with the `directory` to store
+   *     images in
+   */
+  constructor(options) {
+    super();
+    this.directory = path.resolve(__dirname, options.directory || 'images');
+  }
+
+  async save(name, imageBuffer) {
+    const imagePath = path.join(this.directory, name);
+    if (!fs.existsSync(imagePath)) {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.writeFile(imagePath, imageBuffer);
+    }
+  }
+
+  async load(name) {
+    try {
+      return await fs.promises.readFile(path.join(this.directory, name));
+    } catch (error) {
+      return;
+    }
+  }
+}
+
+/**
+ * Stores images in an S3-compatible object storage bucket, with requests
+ *     signed using AWS Signature Version 4
+ * @class
+ */
+class S3ImageStore extends ImageStore {
+  /**
+   * @param {Object} options Image store config, with the `endpoint`, `bucket`,
+   *     `region`, `accessKeyId` and `secretAccessKey` of the bucket, and an
+   *     optional `publicUrl` the bucket's objects are served from
+   */
+  constructor(options) {
+    super();
+    if (!options.endpoint || !options.bucket || !options.accessKeyId || !options.secretAccessKey) {
+      throw 'S3 image store requires endpoint, bucket, accessKeyId and secretAccessKey in imageStore config';
+    }
+    this.options = options;
+  }
+
+  url(name) {
+    if (this.options.publicUrl) {
+      return `${this.options.publicUrl.replace(/\/$/, '')}/${name}`;
+    }
+  }
+
+  async save(name, imageBuffer) {
+    const response = await this.request('PUT', name, imageBuffer);
+    if (!response.ok) {
+      throw `Could not store image ${name} in S3 bucket (${response.status})`;
+    }
+  }
+
+  async load(name) {
+    const response = await this.request('GET', name);
+    if (response.ok) {
+      return Buffer.from(await response.arrayBuffer());
+    }
+  }
+
+  /**
+   * Makes a signed request for an object in the bucket
+   * @param {string} method The HTTP method
+   * @param {string} name The object name
+   * @param {Buffer} body The request body
+   * @returns {Response} The HTTP response
+   */
+  async request(method, name, body) {
+    const { endpoint, bucket } = this.options;
+
+    // Use path-style URLs, which all S3-compatible services support
+    const url = new URL(`${endpoint.replace(/\/$/, '')}/${bucket}/${encodeURIComponent(name)}`);
+    const headers = {
+      'host': url.host,
+      'x-amz-content-sha256': sha256(body || ''),
+      'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''),
+    };
+    if (body) {
+      headers['content-type'] = this.contentType(name);
+    }
+    headers.authorization = this.sign(method, url, headers);
+
+    // The host header is set by the HTTP client
+    delete headers.host;
+    return fetch(url.href, { method, headers, body });
+  }
+
+  /**
+   * Signs a request with AWS Signature Version 4, see:
+   *     https://docs.aws.amazon.com/IAM/latest/UserGuide/create-signed-request.html
+   * @param {string} method The HTTP method
+   * @param {URL} url The request URL
+   * @param {Object} headers The headers to sign, with lower case names,
+   *     including the `host`, `x-amz-date` and `x-amz-content-sha256`
+   * @returns {string} The Authorization header value
+   */
+  sign(method, url, headers) {
+    const { accessKeyId, secretAccessKey } = this.options;
+    const region = this.options.region || 'us-east-1';
+    const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+    const timestamp = headers['x-amz-date'];
+    const date = timestamp.slice(0, 8);
+
+    // Sign the canonical form of the request
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      [...url.searchParams]
+        .map(([key, value]) => `${uriEncode(key)}=${uriEncode(value)}`)
+        .sort()
+        .join('&'),
+      signedHeaders.map(header => `${header}:${String(headers[header]).trim()}\n`).join(''),
+      signedHeaders.join(';'),
+      headers['x-amz-content-sha256'],
+    ].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', timestamp, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = [date, region, 's3', 'aws4_request'].reduce(hmac, `AWS4${secretAccessKey}`);
+    return (
+      `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaders.join(';')}, Signature=${hmac(signingKey, stringToSign).toString('hex')}`
+    );
+  }
+}
+
+/**
+ * Stores images in a Google Cloud Storage bucket
+ * @class
+ */
+class GcsImageStore extends ImageStore {
+  /**
+   * @param {Object} options Image store config, with the `bucket` name,
+   *     defaulting to the googleStorageBucket config
+   */
+  constructor(options) {
+    super();
+    this.bucket = options.bucket || config.googleStorageBucket;
+    this.storage = new Storage({ serviceAccountFile: config.googleServiceAccountJsonPath });
+  }
+
+  url(name) {
+    return `https://storage.googleapis.com/${this.bucket}/${name}`;
+  }
+
+  async save(name, imageBuffer) {
+    await this.storage
+      .bucket(this.bucket)
+      .file(name)
+      .save(imageBuffer, { contentType: this.contentType(name) });
+  }
+
+  async load(name) {
+    const file = this.storage.bucket(this.bucket).file(name);
+    const [exists] = await file.exists();
+    if (exists) {
+      return (await file.download())[0];
+    }
+  }
+}
+
+/**
+ * Creates the image store set in config, falling back to Google Cloud Storage
+ *     if only googleStorageBucket is set, or the local filesystem otherwise
+ * @param {Object} options Image store config
+ * @returns {ImageStore} The image store
+ */
+function createImageStore(options = {}) {
+  const type = options.type || (config.googleStorageBucket ? 'gcs' : 'local');
+  switch (type) {
+    case 'local':
+      return new LocalImageStore(options);
+    case 's3':
+      return new S3ImageStore(options);
+    case 'gcs':
+      return new GcsImageStore(options);
+    default:
+      throw `Unsupported image store type ${type}`;
+  }
+}
+
+/**
+ * Hashes data with SHA-256
+ * @param {string|Buffer} data The data to hash
+ * @returns {string} The hex encoded hash
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Percent-encodes a query string key or value, as AWS Signature Version 4
+ *     requires (every character except unreserved characters)
+ * @param {string} value The key or value
+ * @returns {string} The encoded key or value
+ */
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// The configured image store, with the image store types for creating others
+module.exports = Object.assign(createImageStore(config.imageStore), {
+  createImageStore,
+  LocalImageStore,
+  S3ImageStore,
+  GcsImageStore,
+});
@@ -0,0 +1,228 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chrono = require('chrono-node');
+
+/**
+ * PKPass date and time styles, and the matching Intl.DateTimeFormat styles
+ * @type {Object}
+ */
+const styles = {
+  PKDateStyleNone: undefined,
+  PKDateStyleShort: 'short',
+  PKDateStyleMedium: 'medium',
+  PKDateStyleLong: 'long',
+  PKDateStyleFull: 'full',
+};
+
+/**
+ * ISO 8601 date/time, with optional time and UTC offset
+ * @type {RegExp}
+ */
+const isoPattern = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2})?)(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+/**
+ * Date/time model for pass content. Dates and times are kept as the wall
+ *     clock date and time where they take place (e.g. at the airport), with
+ *     the UTC offset there if known, as `{ date, time, offset }` where `date`
+ *     is 'YYYY-MM-DD', `time` is 'HH:mm:ss' and `offset` is '+HH:mm'. Any part
+ *     may be undefined (e.g. for a boarding time without a date). Keeping the
+ *     wall clock time means dates and times are formatted the same wherever
+ *     the converter runs.
+ * @class
+ */
+class DateTimes {
+  /**
+   * Parses a date/time, either in ISO 8601 format or as text (e.g.
+   *     '30/12/2033 3:56 pm')
+   * @param {string} value The date/time
+   * @returns {Object} The date/time, or undefined if it couldn't be parsed
+   */
+  parse(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return;
+    }
+
+    const iso = String(value).trim().match(isoPattern);
+    if (iso) {
+      return {
+        date: iso[1],
+        time: iso[2] ? (iso[2].length === 5 ? `${iso[2]}:00` : iso[2]) : undefined,
+        offset: iso[3] ? formatOffset(iso[3]) : undefined,
+      };
+    }
+
+    // Only use the parts of the text that were found, rather than filling in
+    // the rest from the current date and time zone. Text with the day first
+    // (e.g. 30/12/2033) isn't parsed as US English, so try British English too.
+    const result = chrono.parse(String(value))[0] || chrono.en.GB.parse(String(value))[0];
+    if (!result) {
+      return;
+    }
+    const start = result.start;
+    const pad = (number, length = 2) => String(number).padStart(length, '0');
+    const dateTime = {};
+    if (start.isCertain('day') && start.isCertain('month')) {
+      dateTime.date = `${pad(start.get('year'), 4)}-${pad(start.get('month'))}-${pad(start.get('day'))}`;
+    }
+    if (start.isCertain('hour')) {
+      dateTime.time = `${pad(start.get('hour'))}:${pad(start.get('minute'))}:${pad(start.get('second'))}`;
+    }
+    if (start.isCertain('timezoneOffset')) {
+      const minutes = Math.abs(start.get('timezoneOffset'));
+      const sign = start.get('timezoneOffset') < 0 ? '-' : '+';
+      dateTime.offset = `${sign}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+    }
+    return dateTime.date || dateTime.time ? dateTime : undefined;
+  }
+
+  /**
+   * Combines date/times, taking each part from the first date/time that has
+   *     it (e.g. the date from a date field and the time from a time field)
+   * @param {...Object} dateTimes The date/times, which may be undefined
+   * @returns {Object} The combined date/time, or undefined if none have a date
+   *     or time
+   */
+  combine(...dateTimes) {
+    const combined = {};
+    dateTimes
+      .filter(dateTime => dateTime)
+      .forEach(dateTime => {
+        ['date', 'time', 'offset'].forEach(part => {
+          combined[part] ||= dateTime[part];
+        });
+      });
+    return combined.date || combined.time ? combined : undefined;
+  }
+
+  /**
+   * Converts a date/time to ISO 8601 format, with the UTC offset if known
+   * @param {Object} dateTime The date/time
+   * @returns {string} The ISO 8601 date/time, or undefined if there's no date
+   */
+  toIso(dateTime) {
+    const local = this.toLocalIso(dateTime);
+    return local && `${local}${dateTime.offset || ''}`;
+  }
+
+  /**
+   * Converts a date/time to ISO 8601 format without the UTC offset, for
+   *     Google Wallet's local date/times
+   * @param {Object} dateTime The date/time
+   * @returns {string} The ISO 8601 date/time, or undefined if there's no date
+   */
+  toLocalIso(dateTime) {
+    if (dateTime && dateTime.date) {
+      return `${dateTime.date}T${dateTime.time || '00:00:00'}`;
+    }
+  }
+
+  /**
+   * Converts a date/time to a PKPass date field value, which requires a UTC
+   *     offset. Date/times without one are given as UTC, which shows the
+   *     same wall clock time if the field ignores time zones.
+   * @param {Object} dateTime The date/time
+   * @returns {string} The W3C date/time, or undefined if there's no date
+   */
+  toPkPass(dateTime) {
+    const local = this.toLocalIso(dateTime);
+    return local && `${local}${dateTime.offset && dateTime.offset !== '+00:00' ? dateTime.offset : 'Z'}`;
+  }
+
+  /**
+   * Parses a PKPass field's date/time
+   * @param {Object} field The PKPass field
+   * @returns {Object} The date/time, or undefined if it couldn't be parsed
+   */
+  fromPkPass(field) {
+    const dateTime = field ? this.parse(field.value) : undefined;
+    // UTC date/times that ignore time zones are how date/times without an
+    // offset are given, see `toPkPass`
+    if (dateTime && field.ignoresTimeZone && dateTime.offset === '+00:00') {
+      delete dateTime.offset;
+    }
+    return dateTime;
+  }
+
+  /**
+   * Formats a date/time as text, the way Apple Wallet shows PKPass date fields
+   * @param {Object} dateTime The date/time
+   * @param {string} language The language to format the text in
+   * @param {Object} options The PKPass `dateStyle` and `timeStyle` (e.g.
+   *     'PKDateStyleMedium'), and `ignoresTimeZone` to leave out the time zone
+   *     in long and full time styles
+   * @returns {string} The formatted date/time, or undefined if there's
+   *     nothing to show
+   */
+  format(dateTime, language, options = {}) {
+    if (!dateTime) {
+      return;
+    }
+    const format = {
+      // The wall clock time is kept as UTC, so it's shown unchanged
+      timeZone: 'UTC',
+      dateStyle: dateTime.date ? styles[options.dateStyle] : undefined,
+      timeStyle: dateTime.time ? styles[options.timeStyle] : undefined,
+    };
+    if (!format.dateStyle && !format.timeStyle) {
+      return;
+    }
+
+    const instant = new Date(`${dateTime.date || '1970-01-01'}T${dateTime.time || '00:00:00'}Z`);
+    return new Intl.DateTimeFormat(language || 'en', format)
+      .formatToParts(instant)
+      .map(part => {
+        if (part.type !== 'timeZoneName') {
+          return part.value;
+        }
+        // Replace UTC with the time zone's offset, if known
+        return dateTime.offset && !options.ignoresTimeZone ? offsetName(dateTime.offset) : '';
+      })
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
+/**
+ * Normalizes a UTC offset to '+HH:mm' format
+ * @param {string} offset The offset (e.g. 'Z', '+0900' or '-05:00')
+ * @returns {string} The normalized offset
+ */
+function formatOffset(offset) {
+  if (offset.toUpperCase() === 'Z') {
+    return '+00:00';
+  }
+  const digits = offset.replace(':', '');
+  return `${digits.slice(0, 3)}:${digits.slice(3)}`;
+}
+
+/**
+ * Names a time zone by its UTC offset (e.g. 'GMT+9' or 'GMT-3:30')
+ * @param {string} offset The offset, in '+HH:mm' format
+ * @returns {string} The time zone name
+ */
+function offsetName(offset) {
+  const [hours, minutes] = offset.slice(1).split(':').map(Number);
+  if (hours === 0 && minutes === 0) {
+    return 'GMT';
+  }
+  return `GMT${offset[0]}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+}
+
+const dates = new DateTimes();
+
+module.exports = dates;
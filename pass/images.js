@@ -0,0 +1,147 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const sharp = require('sharp');
+
+/**
+ * PKPass image sizes in points, and how images are resized to fit them, see:
+ * https://developer.apple.com/documentation/walletpasses/creating_the_source_for_a_pass
+ * @type {Object}
+ */
+const pkpassSizes = {
+  icon: { width: 38, height: 38, fit: 'contain' },
+  logo: { width: 160, height: 50, fit: 'inside' },
+  thumbnail: { width: 90, height: 90, fit: 'inside' },
+  strip: { width: 375, height: 144, fit: 'cover' },
+  background: { width: 180, height: 220, fit: 'cover' },
+  footer: { width: 286, height: 15, fit: 'inside' },
+};
+
+/**
+ * Strip image height for event tickets, which is shorter than other styles
+ * @type {number}
+ */
+const eventTicketStripHeight = 98;
+
+/**
+ * Size of Google Wallet logos, which are shown cropped to a circle
+ * @type {number}
+ */
+const googleLogoSize = 660;
+
+/**
+ * Image formats that can be converted
+ * @type {Array}
+ */
+const formats = ['png', 'jpeg', 'webp'];
+
+/**
+ * Transparent background for padding images
+ * @type {Object}
+ */
+const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+
+/**
+ * Image pipeline, which decodes images and resizes them to the dimensions each
+ *     platform requires, re-encoding them as PNG
+ * @class
+ */
+class Images {
+  /**
+   * Decodes an image
+   * @param {Buffer} imageBuffer Binary string buffer for a JPEG, PNG or WebP
+   *     image file
+   * @returns {Object} The decoded image and its metadata
+   */
+  async decode(imageBuffer) {
+    let metadata;
+    try {
+      metadata = await sharp(imageBuffer).metadata();
+    } catch (error) {
+      throw `Could not read image: ${error.message}`;
+    }
+    if (formats.indexOf(metadata.format) === -1) {
+      throw `Unsupported image format ${metadata.format}, images must be ${formats.join(', ')}`;
+    }
+
+    // Apply the EXIF orientation, common in JPEG photos, before resizing
+    const image = sharp(imageBuffer).rotate();
+    const swap = metadata.orientation >= 5;
+    return {
+      image,
+      width: swap ? metadata.height : metadata.width,
+      height: swap ? metadata.width : metadata.height,
+    };
+  }
+
+  /**
+   * Creates the @1x, @2x and @3x variants of a PKPass image
+   * @param {string} name The PKPass image name (e.g. 'icon' or 'strip')
+   * @param {Buffer} imageBuffer Binary string buffer for the image file
+   * @param {string} style The PKPass style (e.g. 'eventTicket'), which
+   *     some image sizes depend on
+   * @returns {Object} The PNG image files as a map of { name: Buffer }
+   */
+  async toPkPass(name, imageBuffer, style) {
+    const size = { ...pkpassSizes[name] };
+    if (name === 'strip' && style === 'eventTicket') {
+      size.height = eventTicketStripHeight;
+    }
+
+    const { image } = await this.decode(imageBuffer);
+    const files = {};
+    for (const scale of [1, 2, 3]) {
+      const fileName = scale === 1 ? `${name}.png` : `${name}@${scale}x.png`;
+      files[fileName] = await image
+        .clone()
+        .resize(size.width * scale, size.height * scale, { fit: size.fit, background: transparent })
+        .png()
+        .toBuffer();
+    }
+    return files;
+  }
+
+  /**
+   * Normalizes an image for a Google Wallet pass
+   * @param {Buffer} imageBuffer Binary string buffer for the image file
+   * @param {boolean} logo If the image is a logo, which is padded to a square
+   *     so none of it is lost when cropped to a circle
+   * @returns {Buffer} Binary string buffer for the PNG image file
+   */
+  async toGoogle(imageBuffer, logo = false) {
+    let { image, width, height } = await this.decode(imageBuffer);
+
+    if (logo && width !== height) {
+      // Square logos are usually designed as icons, but wide logos would have
+      // their ends cropped, so pad them until they fit inside the circle
+      const side = Math.ceil(Math.hypot(width, height));
+      const x = Math.floor((side - width) / 2);
+      const y = Math.floor((side - height) / 2);
+      image = sharp(
+        await image
+          .extend({ left: x, right: side - width - x, top: y, bottom: side - height - y, background: transparent })
+          .png()
+          .toBuffer(),
+      ).resize(googleLogoSize, googleLogoSize, { fit: 'inside', withoutEnlargement: true });
+    }
+
+    return image.png().toBuffer();
+  }
+}
+
+const images = new Images();
+
+module.exports = images;
@@ -15,23 +15,59 @@
  */
 
 const crypto = require('crypto');
-const os = require('os');
-const fs = require('fs');
-const path = require('path');
-const spawnSync = require('child_process').spawnSync;
 const stripJsonTrailingCommas = require('strip-json-trailing-commas').default;
 const AdmZip = require('adm-zip');
 const color = require('tinycolor2');
 const nanoid = require('nanoid').nanoid;
-const { barcodes, lproj, flatten } = require('./utils.js');
+const { barcodes, relevance, links, lproj, pkpasses, flatten } = require('./utils.js');
+const signature = require('./signature.js');
+const images = require('./images.js');
+const dates = require('./dates.js');
+const numbers = require('./numbers.js');
 const config = require('../config.js');
 
+/**
+ * Minimum contrast ratio between text and background colors for text to be
+ *     readable (WCAG 2 level AA)
+ * @type {number}
+ */
+const minimumContrast = 4.5;
+
+/**
+ * Pass lifecycle states, as Google Wallet pass object states. Passes that
+ *     aren't active are shown as voided in Apple Wallet.
+ * @type {Array}
+ */
+const states = ['ACTIVE', 'COMPLETED', 'EXPIRED', 'INACTIVE'];
+
+/**
+ * Pass properties that identify the pass or how it's updated, rather than
+ *     being shown on it, so aren't compared between versions of the pass
+ * @type {Array}
+ */
+const identifiers = ['id', 'typeId', 'webServiceURL', 'authenticationToken', 'rotatingBarcodeTime'];
+
+/**
+ * Language of the translated value that carries a PKPass field's formatting
+ *     through Google Wallet, which has no equivalent. It's a private use
+ *     language tag, so the value is never shown to users.
+ * @type {string}
+ */
+const pkpassFieldLanguage = 'x-pkpass';
+
 /**
  * Class representing a pass. The type is intermediary, and can be converted
  *     between platforms.
  * @class
  */
 class Pass {
+  /**
+   * Warnings about content that couldn't be converted faithfully, as
+   *     `{ code, message }` objects
+   * @type {Array}
+   */
+  warnings = [];
+
   /**
    * Update some properties of the pass.
    * @instance
@@ -75,6 +111,30 @@ class Pass {
     return this.constructor.googlePrefix;
   }
 
+  /**
+   * Record a warning about content that couldn't be converted faithfully
+   * @param {string} code Machine readable warning code
+   * @param {string} message Description of the warning
+   * @param {Object} details Additional properties for the warning
+   * @instance
+   */
+  warn(code, message, details = {}) {
+    this.warnings.push({ code, message, ...details });
+  }
+
+  /**
+   * Get the primary barcode, which is the one shown on Google Wallet passes
+   * @returns {Object} The barcode, or undefined if the pass has no barcodes
+   * @instance
+   */
+  get barcode() {
+    return this.barcodes && this.barcodes[0];
+  }
+
+  set barcode(barcode) {
+    this.barcodes = barcode ? [barcode] : [];
+  }
+
   set issuer(issuer) {
     this._issuer = issuer;
   }
@@ -83,8 +143,17 @@ class Pass {
     return this._issuer || config.defaultOrgName;
   }
 
+  /**
+   * Get an image from the PKPass files, preferring the largest variant,
+   *     since images are resized for each platform
+   * @param {string} name The image name, without its scale or extension
+   *     (e.g. 'strip')
+   * @returns {Buffer} The image file data, or undefined if the PKPass has no
+   *     such image
+   * @instance
+   */
   image(name) {
-    return this.files[`${name}@2x.png`] || this.files[`${name}.png`];
+    return this.files[`${name}@3x.png`] || this.files[`${name}@2x.png`] || this.files[`${name}.png`];
   }
 
   /**
@@ -100,6 +169,42 @@ class Pass {
     return config.defaultLanguage;
   }
 
+  /**
+   * Verify a PKPass archive's manifest hashes and signature, against the
+   *     root certificate set in config
+   * @param {Buffer} pkpassBuffer Binary string buffer of a PKPass archive,
+   *     or of a .pkpasses bundle
+   * @returns {Object} Report listing missing, extra and tampered files, and
+   *     any signature error. For bundles, the reports for each pass are
+   *     listed under `passes`
+   * @static
+   */
+  static verifyPkPass(pkpassBuffer) {
+    if (pkpasses.isBundle(pkpassBuffer)) {
+      const reports = pkpasses.extract(pkpassBuffer).map(buffer => Pass.verifyPkPass(buffer));
+      return { valid: reports.length > 0 && reports.every(report => report.valid), passes: reports };
+    }
+
+    const files = Object.fromEntries(
+      new AdmZip(pkpassBuffer).getEntries().map(file => [file.entryName, file.getData()]),
+    );
+    return signature.verify(files, signature.root());
+  }
+
+  /**
+   * Convert a PKPass, or every PKPass in a .pkpasses bundle, to Passes
+   * @param {Buffer} buffer Binary string buffer of a PKPass or .pkpasses archive
+   * @returns {Array} The converted Pass objects
+   * @static
+   */
+  static fromPkPasses(buffer) {
+    const pkpassBuffers = pkpasses.extract(buffer);
+    if (pkpassBuffers.length === 0) {
+      throw 'PKPasses bundle contains no passes';
+    }
+    return pkpassBuffers.map(pkpassBuffer => Pass.fromPkPass(pkpassBuffer));
+  }
+
   /**
    * Convert a PKPass to a Pass
    * @param {Buffer} pkpassBuffer Binary string buffer of a PKPass archive
@@ -129,7 +234,7 @@ class Pass {
     Object.keys(files).forEach(name => {
       if (name.indexOf(lproj.suffix) > -1) {
         const language = name.split(lproj.suffix)[0];
-        strings[language] = lproj.parse(files[name].toString('utf8'));
+        strings[language] = lproj.parse(files[name]);
       }
     });
 
@@ -139,9 +244,11 @@ class Pass {
       typeId: json.passTypeIdentifier,
       title: json.logoText,
       description: json.description,
-      barcode: barcodes.fromPkPass(json.barcodes ? json.barcodes : json.barcode ? [json.barcode] : []),
+      barcodes: barcodes.fromPkPass(json.barcodes ? json.barcodes : json.barcode ? [json.barcode] : []),
       issuer: json.organizationName,
       backgroundColor: color(json.backgroundColor),
+      foregroundColor: json.foregroundColor ? color(json.foregroundColor) : undefined,
+      labelColor: json.labelColor ? color(json.labelColor) : undefined,
       files: files,
       strings: strings,
       frontContent: [
@@ -153,37 +260,126 @@ class Pass {
       backContent: json[pass.pkpassContentFields].backFields || [],
     });
 
+    // Get when and where the pass is relevant
+    pass.update(relevance.fromPkPass(json));
+
+    // Get the links Apple Wallet detects in the back content, and the apps associated with the pass
+    pass.update({
+      links: links.fromPkPassFields(pass.backContent),
+      ...links.appLinksFromPkPass(json, config.appLinks),
+      userInfo: json.userInfo,
+    });
+
+    // Get the lifecycle state, PKPass files are voided when used, and expire after their expiration date
+    pass.update({
+      state: json.voided
+        ? 'COMPLETED'
+        : json.expirationDate && new Date(json.expirationDate) < new Date()
+        ? 'EXPIRED'
+        : 'ACTIVE',
+    });
+
+    // Get the images from the archive, each type maps them to the Google Wallet image fields it supports
+    pass.update({
+      logo: pass.image('icon'),
+      wideLogo: pass.image('logo'),
+      heroImage: pass.image('strip'),
+      thumbnail: pass.image('thumbnail'),
+      background: pass.image('background'),
+      footer: pass.image('footer'),
+    });
+
     // Return the derived Pass object
-    pass.logo = pass.image('icon');
     pass.fromPkPass(json);
     return pass;
   }
 
   /**
-   * Convert a Google Wallet pass to a Pass
+   * Split a Google Wallet JWT payload into separate payloads for each pass
+   *     object, each containing the object and its class
    * @param {Object} jwtPayload JWT JSON payload
-   * @returns {Pass} A converted Pass object
+   * @returns {Array} The JWT JSON payloads for each object
+   * @static
+   */
+  static splitGooglePayload(jwtPayload) {
+    return flatten(
+      Object.keys(jwtPayload)
+        .filter(key => key.endsWith('Objects'))
+        .map(key => {
+          const googlePrefix = key.replace(/Objects$/, '');
+          const classes = jwtPayload[`${googlePrefix}Classes`] || [];
+          return jwtPayload[key].map(obj => ({
+            // Match the class by ID, falling back to the class embedded in
+            // the object, or the only class in the payload
+            [`${googlePrefix}Classes`]: [
+              classes.find(cls => cls.id !== undefined && cls.id === obj.classId) || obj.classReference || classes[0],
+            ],
+            [`${googlePrefix}Objects`]: [obj],
+          }));
+        }),
+    );
+  }
+
+  /**
+   * Join Google Wallet JWT payloads into a single payload containing all of
+   *     their classes and objects, so they can be saved with one JWT
+   * @param {Array} jwtPayloads JWT JSON payloads
+   * @returns {Object} The joined JWT JSON payload
+   * @static
+   */
+  static joinGooglePayloads(jwtPayloads) {
+    const joined = {};
+    jwtPayloads.forEach(payload => {
+      Object.keys(payload).forEach(key => {
+        joined[key] = joined[key] || [];
+        payload[key].forEach(item => {
+          // Passes in a bundle usually share a class, which only needs to be saved once
+          if (!key.endsWith('Classes') || !joined[key].some(existing => existing.id === item.id)) {
+            joined[key].push(item);
+          }
+        });
+      });
+    });
+    return joined;
+  }
+
+  /**
+   * Convert a Google Wallet pass to Passes, one for each pass object
+   * @param {Object} jwtPayload JWT JSON payload
+   * @returns {Array} The converted Pass objects
    * @static
    */
   static fromGoogle(jwtPayload) {
-    // Get the Google Wallet pass type
-    const googlePrefix = Object.keys(jwtPayload)[0].replace(/Classes|Objects/, '');
+    return Pass.splitGooglePayload(jwtPayload).map(payload => {
+      const googlePrefix = Object.keys(payload)[0].replace(/Classes$/, '');
+      return Pass.fromGoogleObject(
+        googlePrefix,
+        payload[`${googlePrefix}Objects`][0],
+        payload[`${googlePrefix}Classes`][0],
+      );
+    });
+  }
 
+  /**
+   * Convert a Google Wallet pass object to a Pass
+   * @param {string} googlePrefix The Google Wallet pass type prefix
+   * @param {Object} json Google Wallet pass object JSON
+   * @param {Object} cls Google Wallet pass class JSON
+   * @returns {Pass} A converted Pass object
+   * @static
+   */
+  static fromGoogleObject(googlePrefix, json, cls) {
     // Create a basic Pass object of the derived type
-    const pass = createPassForType(cls => cls.googlePrefix === googlePrefix);
-
-    // Get the Google Wallet pass object payload
-    const json = jwtPayload[`${pass.googlePrefix}Objects`][0];
+    const pass = createPassForType(type => type.googlePrefix === googlePrefix);
 
     let frontContent = [];
     let textModulesData = [];
-    if (jwtPayload[`${googlePrefix}Objects`][0].textModulesData) {
+    if (json.textModulesData) {
       // Get the front content from the class template
-      frontContent =
-        jwtPayload[`${googlePrefix}Classes`][0].classTemplateInfo.cardTemplateOverride.cardRowTemplateInfos;
+      frontContent = cls.classTemplateInfo.cardTemplateOverride.cardRowTemplateInfos;
 
       // Get the text content from the pass
-      textModulesData = jwtPayload[`${googlePrefix}Objects`][0].textModulesData;
+      textModulesData = json.textModulesData;
     }
 
     const strings = {};
@@ -206,10 +402,13 @@ class Pass {
       }
 
       _strings.translatedValues ||= [];
-      _strings.translatedValues.concat([_strings.defaultValue]).forEach(string => {
-        strings[string.language] ||= {};
-        strings[string.language][_strings.defaultValue.value] = string.value;
-      });
+      _strings.translatedValues
+        .concat([_strings.defaultValue])
+        .filter(string => string.language !== pkpassFieldLanguage)
+        .forEach(string => {
+          strings[string.language] ||= {};
+          strings[string.language][_strings.defaultValue.value] = string.value;
+        });
 
       // Return the default value text
       return _strings.defaultValue.value;
@@ -235,6 +434,7 @@ class Pass {
             key: key,
             label: addStrings(textModulesData[key].localizedHeader) || textModulesData[key].header,
             value: addStrings(textModulesData[key].localizedBody) || textModulesData[key].body,
+            ...fromGooglePkPassField(textModulesData[key].localizedBody),
           });
         }
       });
@@ -244,7 +444,7 @@ class Pass {
     });
 
     // Get the back content (InfoModuleData) from the pass
-    let backContent = jwtPayload[`${googlePrefix}Objects`][0].infoModuleData;
+    let backContent = json.infoModuleData;
 
     // Check if there is any back content present
     backContent =
@@ -259,31 +459,266 @@ class Pass {
                   key: label,
                   label: label,
                   value: addStrings(item.localizedValue) || item.value,
+                  ...fromGooglePkPassField(item.localizedValue),
                 };
               });
             }),
           );
 
-    const id = jwtPayload[`${googlePrefix}Objects`][0].id || nanoid();
-    const classId = jwtPayload[`${googlePrefix}Objects`][0].classId || nanoid();
+    const id = json.id || nanoid();
+    const classId = json.classId || nanoid();
+
+    // Get the image modules the converter adds for thumbnail and footer images, ignoring any others
+    const imageModules = json.imageModulesData || cls.imageModulesData || [];
+    const footerModule = imageModules.find(module => module.id === 'footer') || {};
+    const thumbnailModule = imageModules.find(module => module.id === 'thumbnail') || {};
 
     // Set the properties of the Pass from the Google Wallet pass content
     pass.update({
       id: id ? id.replace(`${config.googleIssuerId}\.`, '') : undefined,
       typeId: classId ? classId.replace(`${config.googleIssuerId}\.`, '') : undefined,
-      issuer: jwtPayload[`${googlePrefix}Classes`][0].issuerName,
-      barcode: barcodes.fromGoogle(json.barcode),
+      issuer: cls.issuerName,
+      barcodes: barcodes.fromGoogle(json.barcode),
+      rotatingBarcode: barcodes.fromGoogleRotating(json.rotatingBarcode),
+      // Older passes use lowercase states, and unspecified states are active
+      state: states.find(state => state === String(json.state).toUpperCase()) || 'ACTIVE',
       backgroundColor: color(json.hexBackgroundColor),
+      heroImage: pass.fromGoogleImageField(json.heroImage || cls.heroImage),
+      thumbnail: pass.fromGoogleImageField(thumbnailModule.mainImage),
+      footer: pass.fromGoogleImageField(footerModule.mainImage),
       frontContent: frontContent,
       backContent: backContent,
       strings: strings,
+      ...relevance.fromGoogle(json, cls),
+      links: links.fromGoogle(json, cls),
+      ...links.appLinksFromGoogle(json, cls, config.appLinks),
     });
 
     // Return the derived Pass object
-    pass.fromGoogle(json, jwtPayload[`${pass.googlePrefix}Classes`][0]);
+    pass.fromGoogle(json, cls);
+    return pass;
+  }
+
+  /**
+   * Restore a Pass from a snapshot
+   * @param {Object} snapshot Snapshot created by `toSnapshot`
+   * @returns {Pass} The restored Pass object
+   * @static
+   */
+  static fromSnapshot(snapshot) {
+    const pass = createPassForType(cls => cls.googlePrefix === snapshot.googlePrefix);
+    pass.update(reviveSnapshotValue(snapshot.properties));
     return pass;
   }
 
+  /**
+   * Get a JSON-serializable snapshot of the pass, for storing between
+   *     conversions. Cached and generated values are not included.
+   * @returns {Object} The snapshot
+   * @instance
+   */
+  toSnapshot() {
+    const properties = Object.fromEntries(
+      Object.entries(this).filter(
+        ([key, value]) => value !== undefined && ['content', 'warnings', '_hints', '_hinted'].indexOf(key) === -1,
+      ),
+    );
+    return { googlePrefix: this.googlePrefix, properties: JSON.parse(JSON.stringify(snapshotValue(properties))) };
+  }
+
+  /**
+   * Get the changes from a previous version of the pass (e.g. the version
+   *     stored before an update), for alerting users to them. Front and back
+   *     content is compared field by field.
+   * @param {Pass} previous The previous version of the pass
+   * @returns {Array} The changes, as `{ property, key, label, value, removed }`
+   *     objects, where `key` is the changed field's key, if any, and `value` is
+   *     the new value as text, or undefined if it was removed or isn't shown
+   *     to users (e.g. an image)
+   * @instance
+   */
+  changes(previous) {
+    const before = previous.diffProperties();
+    const after = this.diffProperties();
+    const changes = [];
+    [...new Set([...Object.keys(before), ...Object.keys(after)])].forEach(property => {
+      if (property === 'frontContent' || property === 'backContent') {
+        changes.push(...this.fieldChanges(property, before[property], after[property]));
+      } else if (!isEqual(before[property], after[property])) {
+        // Private properties are shown through public ones (e.g. '_issuer' through 'issuer')
+        const name = property.replace(/^_/, '');
+        const value = this[name];
+        changes.push({
+          property: name,
+          key: isField(value) ? value.key : undefined,
+          label: (isField(value) && value.label) || propertyLabel(name),
+          value: this.changeText(name),
+          removed: after[property] === undefined,
+        });
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Get the properties compared by `changes`, as snapshot values
+   * @returns {Object} The properties
+   * @instance
+   */
+  diffProperties() {
+    const properties = this.toSnapshot().properties;
+    identifiers.forEach(property => delete properties[property]);
+    if (properties.files) {
+      // Only compare the images, as other files (e.g. the signature) change whenever a PKPass is signed
+      properties.files = Object.fromEntries(Object.entries(properties.files).filter(([name]) => /\.png$/.test(name)));
+    }
+    return properties;
+  }
+
+  /**
+   * Get the changed fields in the front or back content
+   * @param {string} property The content property ('frontContent' or
+   *     'backContent')
+   * @param {Array} before The previous content, as a snapshot value
+   * @param {Array} after The content, as a snapshot value
+   * @returns {Array} The changes, see `changes`
+   * @instance
+   */
+  fieldChanges(property, before, after) {
+    const fields = content =>
+      new Map(
+        flatten(content || [])
+          .filter(field => field)
+          .map(field => [field.key || field.label, field]),
+      );
+    const beforeFields = fields(before);
+    const afterFields = fields(after);
+    return [...new Set([...beforeFields.keys(), ...afterFields.keys()])]
+      .filter(key => !isEqual(beforeFields.get(key), afterFields.get(key)))
+      .map(key => {
+        const field = afterFields.get(key);
+        return {
+          property,
+          key,
+          label: (field || beforeFields.get(key)).label || key,
+          value: field ? this.fieldText(field) : undefined,
+          removed: field === undefined,
+        };
+      });
+  }
+
+  /**
+   * Format a changed property's value as text
+   * @param {string} property The property's name
+   * @returns {string} The text, or undefined if the value isn't shown to users
+   *     (e.g. an image)
+   * @instance
+   */
+  changeText(property) {
+    const value = this[property];
+    if (isField(value)) {
+      return this.fieldText(value);
+    } else if (typeof value === 'number' || (typeof value === 'string' && !/^https?:\/\//.test(value))) {
+      return String(value);
+    } else if (isDateTime(value)) {
+      return dates.format(value, this.defaultLanguage, {
+        dateStyle: value.date ? 'PKDateStyleMedium' : 'PKDateStyleNone',
+        timeStyle: value.time ? 'PKDateStyleShort' : 'PKDateStyleNone',
+      });
+    }
+  }
+
+  /**
+   * Format a PKPass field's value as text, the way Apple Wallet shows it
+   * @param {Object} field The PKPass field
+   * @returns {string} The text, or undefined if the value isn't text
+   * @instance
+   */
+  fieldText(field) {
+    if (field.dateStyle !== undefined || field.timeStyle !== undefined) {
+      return this.fromPkPassDateTimeField(field, this.defaultLanguage);
+    } else if (numbers.isNumberField(field)) {
+      return numbers.format(field, this.defaultLanguage);
+    } else if (typeof field.value === 'string' || typeof field.value === 'number') {
+      return String(field.value);
+    }
+  }
+
+  /**
+   * Set the change message of the PKPass content fields changed by the last
+   *     update (`lastChanges`, see `changes`), which devices show when they
+   *     receive the updated pass (e.g. 'Gate changed to B12')
+   * @instance
+   */
+  setPkPassChangeMessages() {
+    const changes = this.lastChanges || [];
+    Object.values(this.content)
+      .filter(fields => Array.isArray(fields))
+      .forEach(fields =>
+        fields
+          .filter(field => field && field.changeMessage === undefined)
+          .forEach(field => {
+            // Fields are matched by key, or by the value of the changed property they show
+            const changed = changes.some(change =>
+              change.key !== undefined
+                ? change.key === field.key
+                : field.value !== undefined && field.value === pkpassValue(this[change.property]),
+            );
+            if (changed) {
+              field.changeMessage = `${field.label || 'Value'} changed to %@`;
+            }
+          }),
+      );
+  }
+
+  /**
+   * Get the barcodes to show in a PKPass. PKPass doesn't support rotating
+   *     barcodes, so unless the pass also has a static barcode, a rotating
+   *     barcode is shown with its value at `rotatingBarcodeTime` (e.g. when
+   *     the pass was issued), or the current time.
+   * @returns {Array} The barcodes
+   * @instance
+   */
+  pkpassBarcodes() {
+    if (!this.rotatingBarcode) {
+      return this.barcodes || [];
+    }
+
+    const unsupported = 'Rotating barcodes are not supported by Apple Wallet';
+    if (this.barcodes && this.barcodes.length > 0) {
+      this.warn(
+        'ROTATING_BARCODE_FALLBACK',
+        `${unsupported}, the static barcode is shown instead, which can be copied with a screenshot`,
+      );
+      return this.barcodes;
+    }
+
+    const time = this.rotatingBarcodeTime || Date.now();
+    const value = barcodes.rotatingValue(this.rotatingBarcode, time);
+    if (!value) {
+      this.warn(
+        'ROTATING_BARCODE_FALLBACK',
+        `${unsupported}, and its value could not be generated, so the barcode will be left out`,
+      );
+      return [];
+    }
+
+    this.warn(
+      'ROTATING_BARCODE_FALLBACK',
+      `${unsupported}, a static barcode is shown instead, which can be copied with a screenshot ` +
+        `and is only valid until ${new Date(value.expires).toISOString()}`,
+      { expires: value.expires },
+    );
+    return [
+      {
+        format: this.rotatingBarcode.format,
+        message: value.message,
+        altText: this.rotatingBarcode.altText,
+        messageEncoding: this.rotatingBarcode.messageEncoding,
+      },
+    ];
+  }
+
   /**
    * Convert a Pass to a PKPass
    * @param {Function} imageHandler Handler for image saving and hosting
@@ -297,6 +732,50 @@ class Pass {
     // Creates a buffer for stringified JSON objects
     const jsonBuffer = obj => Buffer.from(JSON.stringify(obj, null, 2), 'utf8');
 
+    // Convert the barcodes, substituting formats PKPass doesn't support
+    const pkpassBarcodes = [];
+    this.pkpassBarcodes().forEach(barcode => {
+      const format = barcodes.pkpassFormat(barcode.format);
+      if (format !== barcode.format) {
+        this.warn(
+          'UNSUPPORTED_BARCODE_FORMAT',
+          format
+            ? `Barcode format ${barcode.format} is not supported by Apple Wallet, it will be shown as ${format}`
+            : `Barcode format ${barcode.format} is not supported by Apple Wallet, the barcode will be left out`,
+          { format: barcode.format, substitute: format },
+        );
+      }
+      if (format) {
+        pkpassBarcodes.push(barcodes.toPkPass(barcode));
+      }
+    });
+
+    // PKPass has a limit on locations and beacons, beyond which they are ignored
+    Object.entries(relevance.pkpassLimits).forEach(([key, limit]) => {
+      if (this[key] && this[key].length > limit) {
+        this.warn(
+          'TOO_MANY_LOCATIONS',
+          `Apple Wallet only uses the first ${limit} ${key}, the other ${this[key].length - limit} will be left out`,
+          { count: this[key].length },
+        );
+      }
+    });
+
+    // Add the links to the back content, where Apple Wallet makes them tappable
+    this.content.backFields = (this.content.backFields || []).concat(
+      links.toPkPassFields(this.links || [], this.content.backFields || []),
+    );
+
+    this.setPkPassChangeMessages();
+
+    if (this.androidAppUri && (this.appStoreIds || []).length === 0) {
+      this.warn(
+        'APP_LINK_NOT_MAPPED',
+        `Android app ${this.androidAppUri} has no App Store ID in the appLinks config, so no app will be associated with the pass`,
+        { androidAppUri: this.androidAppUri },
+      );
+    }
+
     // Create the 'pass.json' file and add it to the archive
     zip.addFile(
       'pass.json',
@@ -310,17 +789,14 @@ class Pass {
         logoText: this.title,
         description: this.description || this.title,
         organizationName: this.issuer,
-        foregroundColor: color(this.backgroundColor.isDark() ? 'white' : 'black').toRgbString(),
+        foregroundColor: (this.foregroundColor || googleTextColor(this.backgroundColor)).toRgbString(),
         backgroundColor: this.backgroundColor.toRgbString(),
-        barcodes:
-          this.barcode === undefined
-            ? undefined
-            : [
-                {
-                  message: this.barcode.message,
-                  format: barcodes.formats[this.barcode.format].pkpass,
-                },
-              ],
+        labelColor: this.labelColor ? this.labelColor.toRgbString() : undefined,
+        barcodes: pkpassBarcodes.length > 0 ? pkpassBarcodes : undefined,
+        ...relevance.toPkPass(this),
+        voided: this.state && this.state !== 'ACTIVE' ? true : undefined,
+        ...links.appLinksToPkPass(this),
+        userInfo: this.userInfo,
         [this.pkpassContentFields]: this.content,
       }),
     );
@@ -328,12 +804,45 @@ class Pass {
     // Set the logo if none set
     this.logo ||= config.pkPassDefaultIconUrl;
 
-    // Get the logo from the image host
+    // Get the images from the image host, using the logo for the logo shown on the pass if there's no wide logo
     const logo = await imageHandler(this.logo);
+    const pkpassImages = { icon: logo, logo: this.wideLogo ? undefined : logo };
+
+    // Get the wide logo and the other images supported by the PKPass style.
+    // Only the icon is required, so other images that can't be read are left out
+    const uris = {
+      logo: this.wideLogo || undefined,
+      strip: this.heroImage,
+      thumbnail: this.thumbnail,
+      background: this.background,
+      footer: this.footer,
+    };
+    for (const name of ['logo', ...(this.constructor.pkpassImages || [])]) {
+      if (uris[name] !== undefined) {
+        try {
+          pkpassImages[name] = await imageHandler(uris[name]);
+        } catch (error) {
+          this.warnInvalidImage(`${name} image ${uris[name]}`, error);
+        }
+      }
+    }
 
-    // Add the logo to the archive
-    zip.addFile('icon@2x.png', logo);
-    zip.addFile('logo@2x.png', logo);
+    // Add the images to the archive, resized to each scale
+    for (const [name, imageBuffer] of Object.entries(pkpassImages)) {
+      if (imageBuffer !== undefined) {
+        let files;
+        try {
+          files = await images.toPkPass(name, imageBuffer, this.pkpassContentFields);
+        } catch (error) {
+          if (name === 'icon') {
+            throw error;
+          }
+          this.warnInvalidImage(`${name} image ${uris[name] || this.logo}`, error);
+          continue;
+        }
+        Object.entries(files).forEach(([fileName, data]) => zip.addFile(fileName, data));
+      }
+    }
 
     // Add the text content to the archive
     // Must be done in separate files for each language
@@ -342,8 +851,6 @@ class Pass {
     });
 
     // Create a manifest of files in the archive
-    const tempDir = fs.mkdtempSync(os.tmpdir());
-    const manifestPath = path.join(tempDir, 'manifest.json');
     const manifest = jsonBuffer(
       Object.fromEntries(
         zip.getEntries().map(file => [file.entryName, crypto.createHash('sha1').update(file.getData()).digest('hex')]),
@@ -351,43 +858,14 @@ class Pass {
     );
 
     // Add the manifest to the archive
-    zip.addFile(path.basename(manifestPath), manifest);
+    zip.addFile('manifest.json', manifest);
 
     // If the required PKPass config is set, sign the archive
     // This creates a "real" PKPass that can be provided to users
     // Otherwise, signing has to be done by another service
-    if (
-      config.pkPassSigningCertPath &&
-      config.pkPassSigningKeyPath &&
-      config.pkPassWwdrCertPath &&
-      config.pkPassPassTypeId &&
-      config.pkPassTeamId
-    ) {
-      // Create the archive on the filesystem
-      const signaturePath = path.join(tempDir, 'signature');
-      fs.writeFileSync(manifestPath, manifest);
-
-      // Use OpenSSL to sign the archive
-      spawnSync('openssl', [
-        'smime',
-        '-sign',
-        '-signer',
-        config.pkPassSigningCertPath,
-        '-inkey',
-        config.pkPassSigningKeyPath,
-        '-certfile',
-        config.pkPassWwdrCertPath,
-        '-in',
-        manifestPath,
-        '-out',
-        signaturePath,
-        '-outform',
-        'DER',
-        '-binary',
-      ]);
-
-      // Add the signature file to the archive
-      zip.addFile(path.basename(signaturePath), fs.readFileSync(signaturePath));
+    const credentials = signature.credentials();
+    if (credentials) {
+      zip.addFile('signature', signature.sign(manifest, credentials));
     }
 
     // Return the archive as a buffer
@@ -406,27 +884,32 @@ class Pass {
     imageHandler ||= async _ => undefined;
 
     // Converts a localized text field to a LocalizedString object
-    const toLocalizedField = field => {
-      if (!field.dateStyle && !field.timeStyle) {
-        // This is not a date/time field
+    const toFormattedField = field => {
+      let formatValue;
+      if (field.dateStyle || field.timeStyle) {
+        formatValue = language => this.fromPkPassDateTimeField(field, language);
+      } else if (numbers.isNumberField(field)) {
+        formatValue = language => numbers.format(field, language);
+      } else {
+        // This is not a date/time, number or currency field
         // Return the LocalizedString object
         return this.toGoogleLocalizedField(field.value);
       }
 
-      // Converts to a localized date/time field
-      const toGoogleLocalizedDateTimeField = language => {
+      // Converts to a field formatted for the language
+      const toGoogleLocalizedFormattedField = language => {
         return {
           language: language,
-          value: this.fromPkPassDateTimeField(field, language),
+          value: formatValue(language),
         };
       };
 
       // Get the default value
-      const defaultValue = toGoogleLocalizedDateTimeField(this.defaultLanguage);
+      const defaultValue = toGoogleLocalizedFormattedField(this.defaultLanguage);
 
       // Get the localized values
       const translatedValues = Object.keys(this.strings)
-        .map(toGoogleLocalizedDateTimeField)
+        .map(toGoogleLocalizedFormattedField)
         .filter(field => field.value != defaultValue.value);
 
       // Return the LocalizedString object
@@ -436,6 +919,9 @@ class Pass {
       };
     };
 
+    // Adds the field's PKPass formatting to its LocalizedString, for converting back to a PKPass
+    const toLocalizedField = field => toGooglePkPassField(field, toFormattedField(field));
+
     // Gets the TextModulesData objects for the pass front content
     const textModulesData = flatten(this.frontContent).map(field => {
       return {
@@ -501,6 +987,18 @@ class Pass {
       }
     });
 
+    // Create the ImageModuleData from the thumbnail and footer images
+    const imageModulesData = [];
+    for (const [id, image] of [
+      ['thumbnail', this.thumbnail],
+      ['footer', this.footer],
+    ]) {
+      const mainImage = await this.toGoogleImage(imageHandler, image);
+      if (mainImage !== undefined) {
+        imageModulesData.push({ id, mainImage });
+      }
+    }
+
     // Create the InfoModuleData from the Pass back content
     const infoModuleData =
       this.backContent.length === 0
@@ -518,6 +1016,45 @@ class Pass {
             }),
           };
 
+    // Google Wallet doesn't support text colors, so check its text is readable on the background
+    const textColor = googleTextColor(this.backgroundColor);
+    const contrast = color.readability(this.backgroundColor, textColor);
+    if (contrast < minimumContrast) {
+      this.warn(
+        'LOW_CONTRAST',
+        `Background color ${this.backgroundColor.toHexString()} has a contrast ratio of ${contrast.toFixed(1)}:1 ` +
+          `with Google Wallet's ${textColor.toName()} text, below the ${minimumContrast}:1 needed for readable text`,
+        { backgroundColor: this.backgroundColor.toHexString(), contrast },
+      );
+    }
+
+    // Google Wallet passes only have locations and a validity window, so
+    // Apple Wallet's lock screen relevance data is lost
+    const unsupported = [
+      this.beacons && this.beacons.length > 0 ? 'beacons' : undefined,
+      this.maxDistance !== undefined ? 'maxDistance' : undefined,
+      this.relevantDate !== undefined ? 'relevantDate' : undefined,
+      (this.locations || []).some(location => location.altitude !== undefined || location.relevantText)
+        ? 'location altitude and relevantText'
+        : undefined,
+    ].filter(field => field);
+    if (unsupported.length > 0) {
+      this.warn(
+        'UNSUPPORTED_RELEVANCE',
+        `Google Wallet passes don't support ${unsupported.join(', ')}, which will be left out`,
+        { fields: unsupported },
+      );
+    }
+
+    if ((this.appStoreIds || []).length > 0 && !this.androidAppUri) {
+      this.warn(
+        'APP_LINK_NOT_MAPPED',
+        `App Store IDs ${this.appStoreIds.join(', ')} have no Android app in the appLinks config, ` +
+          'so no app will be linked from the pass',
+        { appStoreIds: this.appStoreIds },
+      );
+    }
+
     // Return the Google Wallet pass classes and objects
     return {
       [`${this.googlePrefix}Classes`]: [
@@ -536,17 +1073,16 @@ class Pass {
         {
           id: `${config.googleIssuerId}.${this.id}`,
           classId: `${config.googleIssuerId}.${this.typeId}`,
-          barcode:
-            this.barcode === undefined
-              ? undefined
-              : {
-                  type: this.barcode.format,
-                  value: this.barcode.message,
-                },
+          barcode: this.barcode === undefined ? undefined : barcodes.toGoogle(this.barcode),
           hexBackgroundColor: this.backgroundColor.toHexString(),
+          heroImage: await this.toGoogleImage(imageHandler, this.heroImage),
+          imageModulesData: imageModulesData.length > 0 ? imageModulesData : undefined,
           textModulesData: textModulesData,
           infoModuleData: infoModuleData,
-          state: 'ACTIVE',
+          state: this.state || 'ACTIVE',
+          ...relevance.toGoogle(this),
+          linksModuleData: links.toGoogle(this.links),
+          appLinkData: links.appLinksToGoogle(this),
         },
       ],
     };
@@ -627,6 +1163,50 @@ class Pass {
     }
   }
 
+  /**
+   * Save and host an image with the image handler, and convert it to an
+   *     Image object
+   * @param {Function} imageHandler Handler for image saving and hosting
+   * @param {Buffer} image The image file data
+   * @param {boolean} logo If the image is a logo, which is padded to fit
+   *     Google Wallet's circular crop. Logos are always passed to the image
+   *     handler, so it can warn when they're missing.
+   * @returns {Object} The Image object representation, or undefined if there
+   *     is no image
+   * @instance
+   */
+  async toGoogleImage(imageHandler, image, logo = false) {
+    if (image === undefined && !logo) {
+      return;
+    }
+    if (Buffer.isBuffer(image)) {
+      try {
+        image = await images.toGoogle(image, logo);
+      } catch (error) {
+        // Only the logo is required, so other images that can't be read are left out
+        if (logo) {
+          throw error;
+        }
+        const fileName = Object.keys(this.files || {}).find(name => this.files[name] === image);
+        this.warnInvalidImage(fileName ? `image ${fileName}` : 'an image', error);
+        return;
+      }
+    }
+    return this.toGoogleImageField(await imageHandler(image));
+  }
+
+  /**
+   * Warn that an optional image couldn't be read, so is left out
+   * @param {string} description The image's name and location
+   * @param {*} error The error reading the image
+   * @instance
+   */
+  warnInvalidImage(description, error) {
+    this.warn('INVALID_IMAGE', `Could not read ${description}, so it will be left out: ${error.message || error}`, {
+      image: description,
+    });
+  }
+
   /**
    * Set the various content fields for a PKPass object
    * @param {Object} content
@@ -660,6 +1240,31 @@ class Pass {
     };
   }
 
+  /**
+   * Convert a label and date/time to a PKPass date field, which Apple Wallet
+   *     formats in the device's language
+   * @param {string} label The content label
+   * @param {Object} dateTime The date/time, see `dates.parse`
+   * @param {string} dateStyle The PKPass date style (e.g. 'PKDateStyleMedium')
+   * @param {string} timeStyle The PKPass time style
+   * @returns {Object} The PKPass content field, or undefined if there's no
+   *     date/time
+   * @instance
+   */
+  toPkPassDateTimeField(label, dateTime, dateStyle, timeStyle) {
+    const value = dates.toPkPass(dateTime);
+    if (value === undefined) {
+      return;
+    }
+    return {
+      ...this.toPkPassContentField(label, value),
+      dateStyle: dateStyle,
+      timeStyle: timeStyle,
+      // Times are shown as the local time where they take place, like Google Wallet does
+      ignoresTimeZone: true,
+    };
+  }
+
   /**
    * Extract a date/time value from a localized PKPass date/time field
    * @param {Object} field The PKPass date/time field to extract
@@ -668,19 +1273,10 @@ class Pass {
    * @instance
    */
   fromPkPassDateTimeField(field, language) {
-    // Parse the date from the field value
-    const dateTime = new Date(Date.parse(field.value));
-
-    // Date and time are localized separately
-    const parts = [];
-    if (field.dateStyle) {
-      parts.push(dateTime.toLocaleDateString(language));
-    }
-    if (field.timeStyle) {
-      parts.push(dateTime.toLocaleTimeString(language));
-    }
-
-    return parts.join(' ');
+    // Relative dates (isRelative) are shown as absolute dates, since the text
+    // in Google Wallet passes isn't updated as time passes
+    const value = dates.format(dates.parse(field.value), language, field);
+    return value === undefined ? String(field.value) : value;
   }
 
   /**
@@ -723,6 +1319,32 @@ class Pass {
     return this._hinted[pkpassFieldName];
   }
 
+  /**
+   * Checks if a hint is present in the hint map and returns the value, for
+   *     fields that are left out of the pass when not present
+   * @param {string} name The field name
+   * @returns {string} The PKPass field value, or undefined if not present
+   * @instance
+   */
+  hintedPkPassOptionalFieldValue(name) {
+    const field = this.hintedPkPassField(name);
+    if (field && String(field.value).trim().length > 0) {
+      return String(field.value);
+    }
+  }
+
+  /**
+   * Checks if a hint is present in the hint map and returns the date/time in
+   *     the field
+   * @param {string} name The field name
+   * @returns {Object} The date/time, see `dates.parse`, or undefined if not
+   *     present
+   * @instance
+   */
+  hintedPkPassDateTimeValue(name) {
+    return dates.fromPkPass(this.hintedPkPassField(name));
+  }
+
   /**
    * Checks if a hint is present in the hint map and returns the value (or the
    *     default value if it is not present).
@@ -743,6 +1365,175 @@ class Pass {
   }
 }
 
+/**
+ * Get the text color for a background color, the same way Google Wallet
+ *     chooses between white and black text
+ * @param {tinycolor} backgroundColor The background color
+ * @returns {tinycolor} The text color
+ */
+function googleTextColor(backgroundColor) {
+  return color(backgroundColor.isDark() ? 'white' : 'black');
+}
+
+/**
+ * Add a PKPass field's formatting, which Google Wallet has no equivalent for,
+ *     to the LocalizedString showing its value, as a translated value in the
+ *     `pkpassFieldLanguage`. Number and currency fields also keep their
+ *     number value, as the LocalizedString shows it formatted.
+ * @param {Object} field The PKPass field
+ * @param {Object} localizedString The LocalizedString showing the field's value
+ * @returns {Object} The LocalizedString
+ */
+function toGooglePkPassField(field, localizedString) {
+  const names = ['key', 'textAlignment', 'changeMessage'];
+  if (numbers.isNumberField(field)) {
+    names.push('value', 'currencyCode', 'numberStyle');
+  }
+  const formatting = Object.fromEntries(
+    names.filter(name => field[name] !== undefined).map(name => [name, field[name]]),
+  );
+  if (Object.keys(formatting).every(name => name === 'key')) {
+    return localizedString;
+  }
+  return {
+    ...localizedString,
+    translatedValues: [
+      ...(localizedString.translatedValues || []),
+      { language: pkpassFieldLanguage, value: JSON.stringify(formatting) },
+    ],
+  };
+}
+
+/**
+ * Get the PKPass field formatting added by `toGooglePkPassField`. A number
+ *     value is left out if the LocalizedString no longer shows it (e.g. when
+ *     the value was changed in Google Wallet), so the shown value is kept.
+ * @param {Object} localizedString The LocalizedString showing the field's value
+ * @returns {Object} The field's formatting, or an empty object if it has none
+ */
+function fromGooglePkPassField(localizedString) {
+  const translated = ((localizedString && localizedString.translatedValues) || []).find(
+    string => string.language === pkpassFieldLanguage,
+  );
+  if (!translated) {
+    return {};
+  }
+  let formatting;
+  try {
+    formatting = JSON.parse(translated.value) || {};
+  } catch (error) {
+    return {};
+  }
+
+  const { value, currencyCode, numberStyle, ...rest } = formatting;
+  const defaultValue = localizedString.defaultValue;
+  if (numbers.format(formatting, defaultValue.language) !== defaultValue.value) {
+    return rest;
+  }
+  return formatting;
+}
+
+/**
+ * Convert a value to a JSON-serializable form, for values JSON can't
+ *     represent directly (buffers and colors)
+ * @param {*} value The value to convert
+ * @returns {*} The serializable value
+ */
+function snapshotValue(value) {
+  if (Buffer.isBuffer(value)) {
+    return { buffer: value.toString('base64') };
+  } else if (value instanceof color) {
+    return { color: value.toRgbString() };
+  } else if (Array.isArray(value)) {
+    return value.map(snapshotValue);
+  } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, value]) => [key, snapshotValue(value)]));
+  }
+  return value;
+}
+
+/**
+ * Compare snapshot values, ignoring the order of object keys
+ * @param {*} a The first value
+ * @param {*} b The second value
+ * @returns {boolean} If the values are equal
+ */
+function isEqual(a, b) {
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+    return Array.isArray(a) === Array.isArray(b) && keys.every(key => isEqual(a[key], b[key]));
+  }
+  return a === b;
+}
+
+/**
+ * Check if a value is a PKPass field (e.g. a loyalty balance)
+ * @param {*} value The value
+ * @returns {boolean} If the value is a field
+ */
+function isField(value) {
+  return Boolean(value && typeof value === 'object' && 'value' in value && ('label' in value || 'key' in value));
+}
+
+/**
+ * Check if a value is a date/time, see `dates.parse`
+ * @param {*} value The value
+ * @returns {boolean} If the value is a date/time
+ */
+function isDateTime(value) {
+  return Boolean(value && typeof value === 'object' && ('date' in value || 'time' in value));
+}
+
+/**
+ * Convert a property's value to the value of the PKPass field showing it
+ * @param {*} value The property's value
+ * @returns {*} The field value, or undefined if the value isn't shown in a
+ *     field
+ */
+function pkpassValue(value) {
+  if (isField(value)) {
+    return value.value;
+  } else if (isDateTime(value)) {
+    return dates.toPkPass(value);
+  } else if (typeof value === 'string' || typeof value === 'number') {
+    return value;
+  }
+}
+
+/**
+ * Convert a property name to a label (e.g. 'seatNumber' to 'Seat number')
+ * @param {string} property The property name
+ * @returns {string} The label
+ */
+function propertyLabel(property) {
+  return (
+    property.charAt(0).toUpperCase() +
+    property
+      .slice(1)
+      .replace(/([A-Z])/g, ' $1')
+      .toLowerCase()
+  );
+}
+
+/**
+ * Revive a value converted by `snapshotValue`
+ * @param {*} value The serializable value
+ * @returns {*} The original value
+ */
+function reviveSnapshotValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(reviveSnapshotValue);
+  } else if (value && typeof value === 'object') {
+    if (typeof value.buffer === 'string' && Object.keys(value).length === 1) {
+      return Buffer.from(value.buffer, 'base64');
+    } else if (typeof value.color === 'string' && Object.keys(value).length === 1) {
+      return color(value.color);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, value]) => [key, reviveSnapshotValue(value)]));
+  }
+  return value;
+}
+
 /**
  * Create a skeleton Pass object based on the selected type
  * @param {Function} filter The filter function to apply
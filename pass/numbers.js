@@ -0,0 +1,108 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * PKPass number styles, and the matching Intl.NumberFormat options. Intl
+ *     can't spell out numbers, so spelled out numbers are shown as decimals.
+ * @type {Object}
+ */
+const styles = {
+  PKNumberStyleDecimal: {},
+  PKNumberStylePercent: { style: 'percent' },
+  PKNumberStyleScientific: { notation: 'scientific' },
+  PKNumberStyleSpellOut: {},
+};
+
+/**
+ * Number of micros (millionths) in a unit of a Google Wallet Money amount
+ * @type {number}
+ */
+const microsPerUnit = 1000000;
+
+/**
+ * Number and currency formatting for pass content
+ * @class
+ */
+class Numbers {
+  /**
+   * Checks if a PKPass field is a number or currency field
+   * @param {Object} field The PKPass field
+   * @returns {boolean} If the field is formatted as a number
+   */
+  isNumberField(field) {
+    return (field.currencyCode !== undefined || field.numberStyle !== undefined) && this.isNumber(field.value);
+  }
+
+  /**
+   * Checks if a value is a finite number, or the text of one. Empty text
+   *     isn't a number, although `Number('')` is 0.
+   * @param {*} value The value
+   * @returns {boolean} If the value is a number
+   */
+  isNumber(value) {
+    return (
+      (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) &&
+      Number.isFinite(Number(value))
+    );
+  }
+
+  /**
+   * Formats a PKPass number or currency field as text, the way Apple Wallet
+   *     shows it
+   * @param {Object} field The PKPass field, with its `currencyCode` or
+   *     `numberStyle` (e.g. 'PKNumberStylePercent')
+   * @param {string} language The language to format the text in
+   * @returns {string} The formatted value, or undefined if the field isn't a
+   *     number or currency field
+   */
+  format(field, language) {
+    if (!this.isNumberField(field)) {
+      return;
+    }
+    const options = field.currencyCode
+      ? { style: 'currency', currency: field.currencyCode }
+      : { maximumFractionDigits: 20, ...styles[field.numberStyle] };
+    try {
+      return new Intl.NumberFormat(language || 'en', options).format(Number(field.value));
+    } catch (error) {
+      // Unknown currency codes, shown with the code instead of a symbol
+      return `${field.currencyCode} ${field.value}`;
+    }
+  }
+
+  /**
+   * Gets the amount of a Google Wallet Money object
+   * @param {Object} money The Money object
+   * @returns {number} The amount in units of the currency (e.g. dollars)
+   */
+  fromGoogleMoney(money) {
+    return Number(money.micros || 0) / microsPerUnit;
+  }
+
+  /**
+   * Converts an amount to a Google Wallet Money object
+   * @param {number} amount The amount in units of the currency
+   * @param {string} currencyCode The ISO 4217 currency code
+   * @returns {Object} The Money object
+   */
+  toGoogleMoney(amount, currencyCode) {
+    return { currencyCode: currencyCode, micros: Math.round(Number(amount) * microsPerUnit) };
+  }
+}
+
+const numbers = new Numbers();
+
+module.exports = numbers;
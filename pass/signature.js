@@ -0,0 +1,330 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const forge = require('node-forge');
+const config = require('../config.js');
+
+/**
+ * Certificate extension marking Apple Pass Type ID certificates
+ * @type {string}
+ */
+const passTypeIdExtension = '1.2.840.113635.100.6.1.16';
+
+/**
+ * Certificate subject attribute holding the pass type identifier (UID)
+ * @type {string}
+ */
+const userIdAttribute = '0.9.2342.19200300.100.1.1';
+
+/**
+ * PKCS#7 signing and verification for PKPass manifests, done in-process so no
+ *     OpenSSL binary is required
+ * @class
+ */
+class Signature {
+  /**
+   * Loads the signing key and certificates from the paths set in config
+   * @returns {Object} The PEM encoded key, certificate, WWDR certificate and
+   *     key passphrase, or undefined if signing is not configured
+   */
+  credentials() {
+    if (!config.pkPassSigningCertPath && !config.pkPassSigningKeyPath && !config.pkPassWwdrCertPath) {
+      return;
+    }
+
+    // Signing is partly configured, which would otherwise silently produce unsigned passes
+    const missing = [
+      'pkPassSigningCertPath',
+      'pkPassSigningKeyPath',
+      'pkPassWwdrCertPath',
+      'pkPassPassTypeId',
+      'pkPassTeamId',
+    ].filter(name => !config[name]);
+    if (missing.length > 0) {
+      throw `Cannot sign PKPass, ${missing.join(', ')} config must be defined`;
+    }
+
+    return {
+      key: fs.readFileSync(config.pkPassSigningKeyPath, 'utf8'),
+      cert: fs.readFileSync(config.pkPassSigningCertPath, 'utf8'),
+      wwdr: fs.readFileSync(config.pkPassWwdrCertPath, 'utf8'),
+      passphrase: config.pkPassSigningKeyPassphrase,
+    };
+  }
+
+  /**
+   * Creates the detached PKCS#7 signature for a PKPass manifest
+   * @param {Buffer} manifest The contents of 'manifest.json'
+   * @param {Object} credentials The PEM encoded key, certificate, WWDR
+   *     certificate and optional key passphrase
+   * @returns {Buffer} The DER encoded signature
+   */
+  sign(manifest, credentials) {
+    let key, cert, wwdr;
+    try {
+      cert = forge.pki.certificateFromPem(credentials.cert);
+      wwdr = forge.pki.certificateFromPem(credentials.wwdr);
+    } catch (error) {
+      throw `Could not sign PKPass, unable to read signing certificates: ${error.message}`;
+    }
+
+    try {
+      key = forge.pki.decryptRsaPrivateKey(credentials.key, credentials.passphrase);
+    } catch (error) {
+      // A wrong passphrase either throws while parsing the decrypted bytes, or returns null below
+    }
+
+    if (!key) {
+      throw 'Could not sign PKPass, unable to read signing key (check pkPassSigningKeyPath and pkPassSigningKeyPassphrase)';
+    }
+
+    // Signing with a key that doesn't belong to the certificate produces a
+    // signature Apple devices silently reject, so catch it here instead
+    if (key.n.compareTo(cert.publicKey.n) !== 0) {
+      throw 'Could not sign PKPass, signing key does not match signing certificate';
+    }
+
+    try {
+      const p7 = forge.pkcs7.createSignedData();
+      p7.content = forge.util.createBuffer(manifest.toString('binary'));
+      p7.addCertificate(cert);
+      p7.addCertificate(wwdr);
+      p7.addSigner({
+        key: key,
+        certificate: cert,
+        digestAlgorithm: forge.pki.oids.sha256,
+        authenticatedAttributes: [
+          { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+          { type: forge.pki.oids.messageDigest },
+          { type: forge.pki.oids.signingTime, value: new Date() },
+        ],
+      });
+      p7.sign({ detached: true });
+
+      return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+    } catch (error) {
+      throw `Could not sign PKPass: ${error.message}`;
+    }
+  }
+
+  /**
+   * Loads the root certificate used to verify PKPass signatures
+   * @returns {string} The PEM encoded root certificate, or undefined if
+   *     verification is not configured
+   */
+  root() {
+    if (config.pkPassWwdrRootCertPath) {
+      return fs.readFileSync(config.pkPassWwdrRootCertPath, 'utf8');
+    }
+  }
+
+  /**
+   * Verifies the files in a PKPass archive against its manifest and signature
+   * @param {Object} files The archive contents as a map of { name: Buffer }
+   * @param {string} root The PEM encoded root certificate the signature must
+   *     chain to
+   * @returns {Object} Report listing missing, extra and tampered files, and
+   *     any signature error
+   */
+  verify(files, root) {
+    const report = { valid: false, missing: [], extra: [], tampered: [], signatureError: undefined };
+
+    if (!files['manifest.json']) {
+      report.missing.push('manifest.json');
+      return report;
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(files['manifest.json'].toString('utf8'));
+    } catch (error) {
+      report.tampered.push('manifest.json');
+      return report;
+    }
+
+    // Check every file in the archive is listed with a matching hash
+    Object.keys(files).forEach(name => {
+      if (name === 'manifest.json' || name === 'signature' || name.endsWith('/')) {
+        return;
+      }
+      if (manifest[name] === undefined) {
+        report.extra.push(name);
+      } else if (String(manifest[name]).toLowerCase() !== hash(files[name], manifest[name])) {
+        report.tampered.push(name);
+      }
+    });
+
+    // Check every file in the manifest is present in the archive
+    Object.keys(manifest).forEach(name => {
+      if (files[name] === undefined) {
+        report.missing.push(name);
+      }
+    });
+
+    if (!files['signature']) {
+      report.missing.push('signature');
+    } else {
+      try {
+        this.verifySignature(files['manifest.json'], files['signature'], root, passJson(files['pass.json']));
+      } catch (error) {
+        report.signatureError = String(error);
+      }
+    }
+
+    report.valid = report.missing.length + report.extra.length + report.tampered.length === 0 && !report.signatureError;
+    return report;
+  }
+
+  /**
+   * Verifies a detached PKCS#7 signature over a PKPass manifest, and that the
+   *     signing certificate is a Pass Type ID certificate for the pass, which
+   *     chains to the root certificate
+   * @param {Buffer} manifest The contents of 'manifest.json'
+   * @param {Buffer} signature The DER encoded signature
+   * @param {string} root The PEM encoded root certificate
+   * @param {Object} pass The contents of 'pass.json', with the pass type and
+   *     team identifiers the signing certificate must be issued for
+   */
+  verifySignature(manifest, signature, root, pass = {}) {
+    const asn1 = forge.asn1;
+    let msg;
+    try {
+      msg = forge.pkcs7.messageFromAsn1(asn1.fromDer(signature.toString('binary')));
+    } catch (error) {
+      throw `Signature is not a PKCS#7 message: ${error.message}`;
+    }
+
+    const signerInfo = (msg.rawCapture.signerInfos || [])[0];
+    if (!signerInfo) {
+      throw 'Signature has no signer';
+    }
+
+    // SignerInfo is [version, issuerAndSerialNumber, digestAlgorithm,
+    // [0] authenticatedAttributes?, digestEncryptionAlgorithm, encryptedDigest, ...]
+    const issuerAndSerialNumber = signerInfo.value[1].value;
+    const issuerHash = forge.md.sha1.create().update(asn1.toDer(issuerAndSerialNumber[0]).getBytes()).digest().toHex();
+    const serialNumber = forge.util.createBuffer(issuerAndSerialNumber[1].value).toHex();
+    const signer = msg.certificates.find(cert => cert.serialNumber === serialNumber && cert.issuer.hash === issuerHash);
+    if (!signer) {
+      throw 'Signature does not include the signing certificate';
+    }
+
+    const digestAlgorithm = forge.pki.oids[asn1.derToOid(signerInfo.value[2].value[0].value)];
+    if (!forge.md[digestAlgorithm]) {
+      throw `Signature uses unsupported digest algorithm ${digestAlgorithm}`;
+    }
+    const digest = bytes => forge.md[digestAlgorithm].create().update(bytes);
+
+    const attributes = signerInfo.value.find(node => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+    const encryptedDigest = signerInfo.value[attributes ? 5 : 4].value;
+
+    let signed = digest(manifest.toString('binary'));
+    if (attributes) {
+      // The authenticated attributes carry the manifest digest, and the
+      // signature covers their DER encoding as a SET rather than the manifest
+      let messageDigest;
+      attributes.value.forEach(attribute => {
+        const type = asn1.derToOid(attribute.value[0].value);
+        const value = attribute.value[1].value[0];
+        if (type === forge.pki.oids.messageDigest) {
+          messageDigest = value.value;
+        }
+      });
+
+      if (messageDigest !== signed.digest().getBytes()) {
+        throw 'Signature does not match manifest';
+      }
+
+      signed = digest(asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, attributes.value)).getBytes());
+    }
+
+    let verified = false;
+    try {
+      verified = signer.publicKey.verify(signed.digest().getBytes(), encryptedDigest);
+    } catch (error) {
+      // Malformed signatures throw rather than fail verification
+    }
+    if (!verified) {
+      throw 'Signature does not match manifest';
+    }
+
+    if (!root) {
+      throw 'Cannot verify signing certificate, pkPassWwdrRootCertPath config must be defined';
+    }
+
+    // Any certificate Apple issues chains to the root, so check the signer is
+    // the Pass Type ID certificate for this pass's type and team
+    if (!signer.getExtension({ id: passTypeIdExtension })) {
+      throw 'Signing certificate is not a Pass Type ID certificate';
+    }
+    const subject = type => (signer.subject.getField({ type }) || {}).value;
+    if (!pass.passTypeIdentifier || subject(userIdAttribute) !== pass.passTypeIdentifier) {
+      throw `Signing certificate is not issued for pass type identifier ${pass.passTypeIdentifier}`;
+    }
+    if (!pass.teamIdentifier || subject(forge.pki.oids.organizationalUnitName) !== pass.teamIdentifier) {
+      throw `Signing certificate is not issued for team identifier ${pass.teamIdentifier}`;
+    }
+
+    // Build the chain from the signer up through the included intermediates
+    const chain = [signer];
+    let issuer;
+    while (
+      (issuer = msg.certificates.find(cert => chain.indexOf(cert) === -1 && cert.issued(chain[chain.length - 1])))
+    ) {
+      chain.push(issuer);
+    }
+
+    try {
+      // Check validity now, as the signing time is set by the signer
+      forge.pki.verifyCertificateChain(forge.pki.createCaStore([root]), chain);
+    } catch (error) {
+      throw `Signing certificate is not trusted: ${error.message || error}`;
+    }
+  }
+}
+
+/**
+ * Hash a file the same way as its manifest entry, which is SHA-1 or SHA-256
+ *     depending on the length of the hash
+ * @param {Buffer} data The file data
+ * @param {string} expected The hash from the manifest
+ * @returns {string} The hex encoded hash
+ */
+function hash(data, expected) {
+  return crypto
+    .createHash(String(expected).length === 64 ? 'sha256' : 'sha1')
+    .update(data)
+    .digest('hex');
+}
+
+/**
+ * Parse the 'pass.json' file, whose identifiers the signature is checked against
+ * @param {Buffer} data The file data
+ * @returns {Object} The pass JSON, or an empty object if missing or invalid
+ */
+function passJson(data) {
+  try {
+    return JSON.parse(data.toString('utf8')) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+const signature = new Signature();
+
+module.exports = signature;
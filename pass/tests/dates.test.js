@@ -0,0 +1,43 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const dates = require('../dates.js');
+
+test('an ISO 8601 date/time keeps its UTC offset', () => {
+  expect(dates.parse('2027-06-01T19:30:00+09:00')).toEqual({ date: '2027-06-01', time: '19:30:00', offset: '+09:00' });
+  expect(dates.parse('2027-06-01T10:30Z')).toEqual({ date: '2027-06-01', time: '10:30:00', offset: '+00:00' });
+  expect(dates.parse('2027-06-01T19:30:00.000')).toEqual({ date: '2027-06-01', time: '19:30:00', offset: undefined });
+});
+
+test('a date/time as text only has the parts in the text', () => {
+  expect(dates.parse('30/12/2033 3:56:07 pm')).toEqual({ date: '2033-12-30', time: '15:56:07' });
+  expect(dates.parse('3:56 pm')).toEqual({ time: '15:56:00' });
+  expect(dates.parse('Gate B')).toBeUndefined();
+});
+
+test('date/times are combined from separate date and time fields', () => {
+  expect(dates.combine(dates.parse('2033-12-30'), dates.parse('3:56 pm'))).toEqual({
+    date: '2033-12-30',
+    time: '15:56:00',
+  });
+});
+
+test('a date/time without a UTC offset is a UTC PKPass date that ignores time zones', () => {
+  const dateTime = dates.parse('2027-06-01T19:30:00');
+  expect(dates.toPkPass(dateTime)).toBe('2027-06-01T19:30:00Z');
+  expect(dates.fromPkPass({ value: '2027-06-01T19:30:00Z', ignoresTimeZone: true })).toEqual(dateTime);
+  expect(dates.fromPkPass({ value: '2027-06-01T19:30:00Z' }).offset).toBe('+00:00');
+});
@@ -14,7 +14,9 @@
  * limitations under the License.
  */
 
-const { loadPass, pkPassHasValue } = require('./utils.js');
+const AdmZip = require('adm-zip');
+const Pass = require('../');
+const { loadPass, loadPkPassWithImages, pkPassImages, createImage, imageSize, pkPassHasValue } = require('./utils.js');
 
 test('a converted event pkpass has a title field', async () => {
   const { pkPass, pass } = await loadPass('event.json');
@@ -25,3 +27,74 @@ test('a converted event Google pass has a title field', async () => {
   const { googlePass, pass } = await loadPass('event.pkpass');
   expect(googlePass.eventTicketClasses[0].eventName.defaultValue.value).toBe(pass.title);
 });
+
+test('a converted event Google pass uses the background image as its hero image without a strip image', async () => {
+  const pass = loadPkPassWithImages('event.pkpass', {
+    background: await createImage(360, 440),
+    thumbnail: await createImage(180, 180),
+  });
+  const googlePass = await pass.toGoogle(async image => `https://example.com/${await imageSize(image)}`);
+  expect(googlePass.eventTicketObjects[0].heroImage.sourceUri.uri).toBe('https://example.com/360x440.png');
+  expect(googlePass.eventTicketObjects[0].imageModulesData).toEqual([
+    { id: 'thumbnail', mainImage: { sourceUri: { uri: 'https://example.com/180x180.png' } } },
+  ]);
+});
+
+test('a converted event Google pass prefers the strip image as its hero image', async () => {
+  const pass = loadPkPassWithImages('event.pkpass', {
+    background: await createImage(360, 440),
+    strip: await createImage(750, 196),
+  });
+  const googlePass = await pass.toGoogle(async image => `https://example.com/${await imageSize(image)}`);
+  expect(googlePass.eventTicketObjects[0].heroImage.sourceUri.uri).toBe('https://example.com/750x196.png');
+});
+
+test('a converted event pkpass has a shorter strip image than other styles', async () => {
+  const googlePass = JSON.parse(JSON.stringify(require('./fixtures/event.json')));
+  googlePass.eventTicketObjects[0].heroImage = { sourceUri: { uri: 'https://example.com/hero.png' } };
+  const files = await pkPassImages(googlePass, async uri => createImage(1032, 336));
+  expect(await imageSize(files['strip@2x.png'])).toBe('750x196.png');
+});
+
+test('a converted event Google pass leaves out an optional image that cannot be read', async () => {
+  const pass = loadPkPassWithImages('event.pkpass', {
+    strip: 'not an image',
+    thumbnail: await createImage(180, 180),
+  });
+  const googlePass = await pass.toGoogle(async image => `https://example.com/${await imageSize(image)}`);
+  expect(googlePass.eventTicketObjects[0].heroImage).toBeUndefined();
+  expect(googlePass.eventTicketObjects[0].imageModulesData).toHaveLength(1);
+  expect(pass.warnings).toEqual([expect.objectContaining({ code: 'INVALID_IMAGE', image: 'image strip@2x.png' })]);
+});
+
+test('a converted event Google pass fails when its icon cannot be read', async () => {
+  const pass = loadPkPassWithImages('event.pkpass', { icon: 'not an image' });
+  await expect(pass.toGoogle(async image => 'https://example.com/image.png')).rejects.toMatch(/Could not read image/);
+});
+
+test('a converted event pkpass leaves out an optional image that cannot be fetched or read', async () => {
+  const googlePass = JSON.parse(JSON.stringify(require('./fixtures/event.json')));
+  googlePass.eventTicketObjects[0].heroImage = { sourceUri: { uri: 'https://example.com/hero.html' } };
+  googlePass.eventTicketObjects[0].imageModulesData = [
+    { id: 'thumbnail', mainImage: { sourceUri: { uri: 'https://example.com/missing.png' } } },
+  ];
+  const pass = Pass.fromGoogle(googlePass)[0];
+  const zip = new AdmZip(
+    await pass.toPkPass(async uri => {
+      if (uri.endsWith('missing.png')) {
+        throw 'Request failed with status code 404';
+      }
+      return uri.endsWith('.html') ? Buffer.from('<html></html>') : createImage(100, 100);
+    }),
+  );
+  expect(pass.warnings.map(warning => warning.image)).toEqual([
+    'thumbnail image https://example.com/missing.png',
+    'strip image https://example.com/hero.html',
+  ]);
+  expect(
+    zip
+      .getEntries()
+      .map(file => file.entryName)
+      .filter(name => name.endsWith('.png')),
+  ).toEqual(['icon.png', 'icon@2x.png', 'icon@3x.png', 'logo.png', 'logo@2x.png', 'logo@3x.png']);
+});
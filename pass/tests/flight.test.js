@@ -14,18 +14,20 @@
  * limitations under the License.
  */
 
-const parseDate = require('chrono-node').parseDate;
+const Pass = require('../');
 const { loadPass, pkPassHasValue } = require('./utils.js');
 
 const fieldTests = {
-  date: (cls, _) => parseDate(cls.localScheduledDepartureDateTime).toLocaleDateString(),
-  time: (cls, _) => parseDate(cls.localScheduledDepartureDateTime).toLocaleTimeString(),
   flightNumber: (cls, _) => cls.flightHeader.carrier.carrierIataCode + cls.flightHeader.flightNumber,
   origin: (cls, _) => cls.origin.airportIataCode,
   destination: (cls, _) => cls.destination.airportIataCode,
   passenger: (_, obj) => obj.passengerName,
   seatNumber: (_, obj) => obj.boardingAndSeatingInfo.seatNumber,
   gate: (cls, _) => cls.origin.gate,
+  originTerminal: (cls, _) => cls.origin.terminal,
+  boardingGroup: (_, obj) => obj.boardingAndSeatingInfo.boardingGroup,
+  boardingPosition: (_, obj) => obj.boardingAndSeatingInfo.boardingPosition,
+  sequenceNumber: (_, obj) => obj.boardingAndSeatingInfo.sequenceNumber,
 };
 
 for (const [field, getGoogleValue] of Object.entries(fieldTests)) {
@@ -39,3 +41,51 @@ for (const [field, getGoogleValue] of Object.entries(fieldTests)) {
     expect(getGoogleValue(googlePass.flightClasses[0], googlePass.flightObjects[0])).toBe(pass[field]);
   });
 }
+
+test('a flight pass round-trips boarding and arrival details through a pkpass', async () => {
+  const { pass, googlePass } = await loadPass('flight.json');
+  const roundTripped = await Pass.fromPkPass(await pass.toPkPass(_ => undefined)).toGoogle(_ => undefined);
+  const [cls, obj] = [roundTripped.flightClasses[0], roundTripped.flightObjects[0]];
+  expect(obj.boardingAndSeatingInfo.boardingGroup).toBe('B');
+  expect(obj.boardingAndSeatingInfo.boardingPosition).toBe('12');
+  expect(obj.boardingAndSeatingInfo.sequenceNumber).toBe('042');
+  expect(cls.origin.terminal).toBe('T1');
+  expect(cls.localScheduledDepartureDateTime).toBe(googlePass.flightClasses[0].localScheduledDepartureDateTime);
+  expect(cls.localScheduledArrivalDateTime).toBe(googlePass.flightClasses[0].localScheduledArrivalDateTime);
+  expect(cls.localBoardingDateTime).toBe(googlePass.flightClasses[0].localBoardingDateTime);
+});
+
+test('a flight pass has the security program logo on the Google pass object', async () => {
+  const uri = 'https://example.com/security-program-logo.png';
+  const { googlePass } = await loadPass('flight.json');
+  expect(Pass.fromGoogle(googlePass)[0].securityProgramLogo).toBe(uri);
+
+  const { pass } = await loadPass('flight.pkpass');
+  pass.securityProgramLogo = uri;
+  const obj = (await pass.toGoogle(_ => undefined)).flightObjects[0];
+  expect(obj.securityProgramLogo).toEqual({ sourceUri: { uri } });
+  expect(obj.boardingAndSeatingInfo.securityProgramLogo).toBeUndefined();
+});
+
+test('a converted flight pkpass has date fields in the local time at the airport', async () => {
+  const { pkPass } = await loadPass('flight.json');
+  const fields = Object.fromEntries(
+    [].concat(pkPass.boardingPass.headerFields, pkPass.boardingPass.auxiliaryFields).map(field => [field.key, field]),
+  );
+  expect(fields['Date']).toEqual({
+    key: 'Date',
+    label: 'Date',
+    value: '2033-12-30T04:56:07Z',
+    dateStyle: 'PKDateStyleMedium',
+    timeStyle: 'PKDateStyleNone',
+    ignoresTimeZone: true,
+  });
+  expect(fields['Time'].value).toBe('2033-12-30T04:56:07Z');
+  expect(fields['Boarding'].value).toBe('2033-12-30T04:16:07Z');
+  expect(fields['Arrives'].value).toBe('2033-12-30T20:15:00Z');
+});
+
+test('a flight pkpass with the date and time as text has the same Google pass departure', async () => {
+  const { googlePass } = await loadPass('flight.pkpass');
+  expect(googlePass.flightClasses[0].localScheduledDepartureDateTime).toBe('2033-12-30T15:56:07');
+});
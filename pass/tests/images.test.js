@@ -0,0 +1,44 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { createImage, imageSize } = require('./utils.js');
+const images = require('../images.js');
+
+for (const format of ['jpeg', 'png', 'webp']) {
+  test(`a ${format} icon is resized to each PKPass scale as PNG`, async () => {
+    const files = await images.toPkPass('icon', await createImage(200, 100, format), 'generic');
+    expect(Object.keys(files)).toEqual(['icon.png', 'icon@2x.png', 'icon@3x.png']);
+    expect(await imageSize(files['icon.png'])).toBe('38x38.png');
+    expect(await imageSize(files['icon@3x.png'])).toBe('114x114.png');
+  });
+}
+
+test('a PKPass logo keeps its aspect ratio', async () => {
+  const files = await images.toPkPass('logo', await createImage(100, 100), 'generic');
+  expect(await imageSize(files['logo@2x.png'])).toBe('100x100.png');
+});
+
+test('a wide Google logo is padded to a square', async () => {
+  expect(await imageSize(await images.toGoogle(await createImage(300, 400, 'jpeg'), true))).toBe('500x500.png');
+});
+
+test('a square Google logo is not padded', async () => {
+  expect(await imageSize(await images.toGoogle(await createImage(100, 100), true))).toBe('100x100.png');
+});
+
+test('an image that cannot be decoded fails', async () => {
+  await expect(images.toGoogle(Buffer.from('not an image'))).rejects.toMatch(/Could not read image/);
+});
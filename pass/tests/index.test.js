@@ -14,7 +14,13 @@
  * limitations under the License.
  */
 
+const AdmZip = require('adm-zip');
 const color = require('tinycolor2');
+const fs = require('fs');
+const path = require('path');
+const Pass = require('../');
+const numbers = require('../numbers.js');
+const { barcodes, links, pkpasses } = require('../utils.js');
 const { loadPass, pkPassHasValue } = require('./utils.js');
 
 const passTypes = ['event', 'flight', 'generic', 'loyalty', 'offer', 'transit'];
@@ -47,3 +53,529 @@ test('a converted Google pass has a barcode', async () => {
   const { googlePass, pass } = await loadPass('generic.pkpass');
   expect(googlePass.genericObjects[0].barcode.value).toBe(pass.barcode.message);
 });
+
+for (const passType of passTypes) {
+  test(`a ${passType} pass restored from a snapshot converts to the same Google pass`, async () => {
+    const original = Pass.fromPkPass(fs.readFileSync(path.resolve(__dirname, `fixtures/${passType}.pkpass`)));
+    const restored = Pass.fromSnapshot(JSON.parse(JSON.stringify(original.toSnapshot())));
+    expect(restored.constructor).toBe(original.constructor);
+    expect(await restored.toGoogle(_ => undefined)).toEqual(await original.toGoogle(_ => undefined));
+  });
+}
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.resolve(__dirname, `fixtures/${name}`), 'utf8'));
+}
+
+test('every object in a Google payload is converted, matched to its class', () => {
+  const event = loadFixture('event.json');
+  const offer = loadFixture('offer.json');
+  event.eventTicketClasses.push({ ...event.eventTicketClasses[0], id: 'second', issuerName: 'Second issuer' });
+  event.eventTicketObjects.push({ ...event.eventTicketObjects[0], id: 'object', classId: 'second' });
+  const passes = Pass.fromGoogle({ ...event, ...offer });
+  expect(passes.map(pass => pass.googlePrefix)).toEqual(['eventTicket', 'eventTicket', 'offer']);
+  expect(passes[0].issuer).toBe('Test issuer');
+  expect(passes[1].issuer).toBe('Second issuer');
+});
+
+test('every pass in a .pkpasses bundle is converted, and joined into one Google payload', async () => {
+  const bundle = pkpasses.bundle(
+    ['event.pkpass', 'event.pkpass', 'offer.pkpass'].map(name =>
+      fs.readFileSync(path.resolve(__dirname, `fixtures/${name}`)),
+    ),
+  );
+  const passes = Pass.fromPkPasses(bundle);
+  expect(passes.map(pass => pass.googlePrefix)).toEqual(['eventTicket', 'eventTicket', 'offer']);
+
+  const googlePass = Pass.joinGooglePayloads(await Promise.all(passes.map(pass => pass.toGoogle(_ => undefined))));
+  expect(googlePass.eventTicketObjects.length).toBe(2);
+  expect(googlePass.eventTicketClasses.length).toBe(1);
+  expect(googlePass.offerObjects.length).toBe(1);
+  expect(Pass.fromGoogle(googlePass).length).toBe(3);
+});
+
+test('a .pkpasses bundle without passes fails to convert', () => {
+  const zip = new AdmZip();
+  zip.addFile('README.txt', Buffer.from('No passes here'));
+  expect(() => Pass.fromPkPasses(zip.toBuffer())).toThrow('PKPasses bundle contains no passes');
+});
+
+test('a .pkpasses bundle is only valid if every pass in it is valid', () => {
+  const bundle = pkpasses.bundle([fs.readFileSync(path.resolve(__dirname, 'fixtures/event.pkpass'))]);
+  const report = Pass.verifyPkPass(bundle);
+  expect(report.passes.length).toBe(1);
+  expect(report.valid).toBe(report.passes[0].valid);
+});
+
+function loadPkPassWithJson(name, changes) {
+  const zip = new AdmZip(fs.readFileSync(path.resolve(__dirname, `fixtures/${name}`)));
+  const json = JSON.parse(zip.getEntry('pass.json').getData().toString('utf8'));
+  zip.updateFile('pass.json', Buffer.from(JSON.stringify({ ...json, ...changes })));
+  return Pass.fromPkPass(zip.toBuffer());
+}
+
+async function convertedPkPassJson(pass, imageHandler = image => image) {
+  return JSON.parse(new AdmZip(await pass.toPkPass(imageHandler)).getEntry('pass.json').getData().toString('utf8'));
+}
+
+test('a pkpass converted back to a pkpass keeps its foreground and label colors', async () => {
+  const pass = loadPkPassWithJson('generic.pkpass', { foregroundColor: '#ffcc00', labelColor: 'rgb(0, 128, 255)' });
+  const pkPass = await convertedPkPassJson(pass);
+  expect(pkPass.foregroundColor).toBe('rgb(255, 204, 0)');
+  expect(pkPass.labelColor).toBe('rgb(0, 128, 255)');
+});
+
+test('a converted Google pass warns when its text would be unreadable on the background color', async () => {
+  const pass = Pass.fromPkPass(fs.readFileSync(path.resolve(__dirname, 'fixtures/generic.pkpass')));
+  pass.backgroundColor = color('#ff0000');
+  await pass.toGoogle(_ => undefined);
+  expect(pass.warnings.map(warning => warning.code)).toEqual(['LOW_CONTRAST']);
+});
+
+test('every pkpass barcode is kept, with its alternate text and encoding', async () => {
+  const pkPassBarcodes = [
+    { format: 'PKBarcodeFormatQR', message: 'qr', altText: 'QR text', messageEncoding: 'utf-8' },
+    { format: 'PKBarcodeFormatCode128', message: 'code128', messageEncoding: 'iso-8859-1' },
+  ];
+  const pass = loadPkPassWithJson('generic.pkpass', { barcodes: pkPassBarcodes });
+  expect((await convertedPkPassJson(pass)).barcodes).toEqual(pkPassBarcodes);
+
+  const googlePass = await pass.toGoogle(_ => undefined);
+  expect(googlePass.genericObjects[0].barcode).toEqual({
+    type: 'QR_CODE',
+    value: 'qr',
+    alternateText: 'QR text',
+    renderEncoding: 'UTF_8',
+  });
+});
+
+test('a converted pkpass has the Google barcode alternate text', async () => {
+  const googlePass = JSON.parse(JSON.stringify(require('./fixtures/generic.json')));
+  googlePass.genericObjects[0].barcode.alternateText = 'Alternate text';
+  const pkPass = await convertedPkPassJson(Pass.fromGoogle(googlePass)[0], _ => undefined);
+  expect(pkPass.barcodes[0].altText).toBe('Alternate text');
+  expect(pkPass.barcodes[0].messageEncoding).toBe('iso-8859-1');
+});
+
+test('a Google barcode format Apple does not support is substituted, with a warning', async () => {
+  const googlePass = JSON.parse(JSON.stringify(require('./fixtures/generic.json')));
+  googlePass.genericObjects[0].barcode.type = 'DATA_MATRIX';
+  const pass = Pass.fromGoogle(googlePass)[0];
+  const pkPass = await convertedPkPassJson(pass, _ => undefined);
+  expect(pkPass.barcodes[0].format).toBe('PKBarcodeFormatQR');
+  expect(pass.warnings).toEqual([
+    expect.objectContaining({ code: 'UNSUPPORTED_BARCODE_FORMAT', format: 'DATA_MATRIX', substitute: 'QR_CODE' }),
+  ]);
+});
+
+test('a Google text only barcode is left out of a converted pkpass, with a warning', async () => {
+  const googlePass = JSON.parse(JSON.stringify(require('./fixtures/generic.json')));
+  googlePass.genericObjects[0].barcode.type = 'TEXT_ONLY';
+  const pass = Pass.fromGoogle(googlePass)[0];
+  expect((await convertedPkPassJson(pass, _ => undefined)).barcodes).toBeUndefined();
+  expect(pass.warnings[0].code).toBe('UNSUPPORTED_BARCODE_FORMAT');
+});
+
+function googlePassWithRotatingBarcode() {
+  const googlePass = JSON.parse(JSON.stringify(require('./fixtures/event.json')));
+  delete googlePass.eventTicketObjects[0].barcode;
+  googlePass.eventTicketObjects[0].rotatingBarcode = {
+    type: 'QR_CODE',
+    valuePattern: 'ticket-{totp_value_0}',
+    alternateText: 'Ticket',
+    totpDetails: {
+      periodMillis: '30000',
+      algorithm: 'TOTP_SHA1',
+      // The RFC 6238 test key, "12345678901234567890"
+      parameters: [{ key: '3132333435363738393031323334353637383930', valueLength: 8 }],
+    },
+  };
+  return googlePass;
+}
+
+test('a rotating barcode value is generated with TOTP', () => {
+  const rotatingBarcode = Pass.fromGoogle(googlePassWithRotatingBarcode())[0].rotatingBarcode;
+  expect(barcodes.rotatingValue(rotatingBarcode, 59000)).toEqual({
+    message: 'ticket-94287082',
+    starts: 30000,
+    expires: 60000,
+  });
+});
+
+test('a converted pkpass shows a rotating barcode as a static barcode, with a warning', async () => {
+  const pass = Pass.fromGoogle(googlePassWithRotatingBarcode())[0];
+  pass.rotatingBarcodeTime = 59000;
+  const pkPass = await convertedPkPassJson(pass, _ => undefined);
+  expect(pkPass.barcodes).toEqual([
+    { format: 'PKBarcodeFormatQR', message: 'ticket-94287082', altText: 'Ticket', messageEncoding: 'iso-8859-1' },
+  ]);
+  expect(pass.warnings).toEqual([expect.objectContaining({ code: 'ROTATING_BARCODE_FALLBACK', expires: 60000 })]);
+});
+
+test('a converted pkpass prefers the static barcode over a rotating barcode', async () => {
+  const googlePass = googlePassWithRotatingBarcode();
+  googlePass.eventTicketObjects[0].barcode = { type: 'QR_CODE', value: 'static' };
+  const pass = Pass.fromGoogle(googlePass)[0];
+  const pkPass = await convertedPkPassJson(pass, _ => undefined);
+  expect(pkPass.barcodes[0].message).toBe('static');
+  expect(pass.warnings[0].code).toBe('ROTATING_BARCODE_FALLBACK');
+});
+
+const pkpassRelevance = {
+  locations: [{ latitude: 51.5014, longitude: -0.1419, relevantText: 'Welcome to the palace' }],
+  beacons: [{ proximityUUID: 'E2C56DB5-DFFB-48D2-B060-D0F5A71096E0', major: 1 }],
+  maxDistance: 100,
+  relevantDate: '2027-06-01T19:00:00+01:00',
+  expirationDate: '2027-06-02T00:00:00+01:00',
+};
+
+test('a pkpass converted back to a pkpass keeps its relevance data', async () => {
+  const pkPass = await convertedPkPassJson(loadPkPassWithJson('generic.pkpass', pkpassRelevance));
+  expect(pkPass.locations).toEqual(pkpassRelevance.locations);
+  expect(pkPass.beacons).toEqual(pkpassRelevance.beacons);
+  expect(pkPass.maxDistance).toBe(100);
+  expect(pkPass.relevantDate).toBe(pkpassRelevance.relevantDate);
+  expect(pkPass.expirationDate).toBe(pkpassRelevance.expirationDate);
+});
+
+test('a converted Google pass has the locations and expiration date of the pkpass', async () => {
+  const pass = loadPkPassWithJson('generic.pkpass', pkpassRelevance);
+  const googlePass = await pass.toGoogle(_ => undefined);
+  expect(googlePass.genericObjects[0].locations).toEqual([{ latitude: 51.5014, longitude: -0.1419 }]);
+  expect(googlePass.genericObjects[0].validTimeInterval).toEqual({ end: { date: pkpassRelevance.expirationDate } });
+  expect(pass.warnings).toContainEqual(
+    expect.objectContaining({
+      code: 'UNSUPPORTED_RELEVANCE',
+      fields: ['beacons', 'maxDistance', 'relevantDate', 'location altitude and relevantText'],
+    }),
+  );
+});
+
+test('a converted pkpass has the locations and validity window of the Google pass', async () => {
+  const googlePass = JSON.parse(JSON.stringify(require('./fixtures/event.json')));
+  googlePass.eventTicketClasses[0].locations = [
+    { kind: 'walletobjects#latLongPoint', latitude: 40.75, longitude: -73.99 },
+  ];
+  googlePass.eventTicketObjects[0].validTimeInterval = {
+    start: { date: '2027-06-01T18:00:00Z' },
+    end: { date: '2027-06-01T23:00:00Z' },
+  };
+  const pkPass = await convertedPkPassJson(Pass.fromGoogle(googlePass)[0], _ => undefined);
+  expect(pkPass.locations).toEqual([{ latitude: 40.75, longitude: -73.99 }]);
+  expect(pkPass.relevantDate).toBe('2027-06-01T18:00:00Z');
+  expect(pkPass.expirationDate).toBe('2027-06-01T23:00:00Z');
+});
+
+test('a converted pkpass warns when it has more locations than Apple Wallet uses', async () => {
+  const locations = Array.from({ length: 12 }, (_, i) => ({ latitude: i, longitude: i }));
+  const pass = loadPkPassWithJson('generic.pkpass', { locations });
+  const pkPass = await convertedPkPassJson(pass);
+  expect(pkPass.locations.length).toBe(10);
+  expect(pass.warnings).toContainEqual(expect.objectContaining({ code: 'TOO_MANY_LOCATIONS', count: 12 }));
+});
+
+test('a voided pkpass is a completed Google pass', async () => {
+  const pass = loadPkPassWithJson('generic.pkpass', { voided: true });
+  const googlePass = await pass.toGoogle(_ => undefined);
+  expect(googlePass.genericObjects[0].state).toBe('COMPLETED');
+  expect((await convertedPkPassJson(pass)).voided).toBe(true);
+});
+
+test('a pkpass past its expiration date is an expired Google pass', async () => {
+  const pass = loadPkPassWithJson('generic.pkpass', { expirationDate: '2020-01-01T00:00:00Z' });
+  const googlePass = await pass.toGoogle(_ => undefined);
+  expect(googlePass.genericObjects[0].state).toBe('EXPIRED');
+});
+
+test('an active pkpass is an active Google pass', async () => {
+  const pass = loadPkPassWithJson('generic.pkpass', {});
+  const googlePass = await pass.toGoogle(_ => undefined);
+  expect(googlePass.genericObjects[0].state).toBe('ACTIVE');
+  expect((await convertedPkPassJson(pass)).voided).toBeUndefined();
+});
+
+for (const state of ['COMPLETED', 'EXPIRED', 'inactive']) {
+  test(`a ${state} Google pass is a voided pkpass`, async () => {
+    const googlePass = JSON.parse(JSON.stringify(require('./fixtures/event.json')));
+    googlePass.eventTicketObjects[0].state = state;
+    const pass = Pass.fromGoogle(googlePass)[0];
+    expect(pass.state).toBe(state.toUpperCase());
+    expect((await convertedPkPassJson(pass, _ => undefined)).voided).toBe(true);
+  });
+}
+
+function loadPkPassWithBackFields(backFields, changes = {}) {
+  return loadPkPassWithJson('generic.pkpass', { ...changes, generic: { backFields } });
+}
+
+test('links in pkpass back content are Google pass links', async () => {
+  const pass = loadPkPassWithBackFields([
+    { key: 'web', label: 'Website', value: 'Visit www.example.com, or https://example.com/help?q=1.' },
+    { key: 'contact', label: 'Contact', value: 'Email help@example.com or call +1 (555) 123-4567' },
+    { key: 'order', label: 'Order', value: 'Order 12345678 on 2027-06-01' },
+    { key: 'terms', label: 'Terms', attributedValue: '<a href="https://example.com/terms">Read the terms</a>' },
+  ]);
+  const googlePass = await pass.toGoogle(_ => undefined);
+  expect(googlePass.genericObjects[0].linksModuleData.uris.map(({ uri, description }) => [uri, description])).toEqual([
+    ['https://www.example.com', 'Website'],
+    ['https://example.com/help?q=1', 'Website'],
+    ['mailto:help@example.com', 'Contact'],
+    ['tel:+15551234567', 'Contact'],
+    ['https://example.com/terms', 'Read the terms'],
+  ]);
+});
+
+test('only the data detector types of a pkpass field are links', () => {
+  const pass = loadPkPassWithBackFields([
+    {
+      key: 'contact',
+      label: 'Contact',
+      value: 'https://example.com or +1 555 123 4567',
+      dataDetectorTypes: ['PKDataDetectorTypePhoneNumber'],
+    },
+  ]);
+  expect(pass.links.map(link => link.uri)).toEqual(['tel:+15551234567']);
+});
+
+test('Google pass links are pkpass back fields', async () => {
+  const googlePass = JSON.parse(JSON.stringify(require('./fixtures/event.json')));
+  googlePass.eventTicketObjects[0].linksModuleData = {
+    uris: [
+      { uri: 'https://example.com', description: 'Website' },
+      { uri: 'tel:+15551234567', localizedDescription: { defaultValue: { language: 'en', value: 'Call us' } } },
+    ],
+  };
+  const pkPass = await convertedPkPassJson(Pass.fromGoogle(googlePass)[0], _ => undefined);
+  expect(pkPass.eventTicket.backFields).toEqual(
+    expect.arrayContaining([
+      {
+        key: 'link0',
+        label: 'Website',
+        value: 'https://example.com',
+        attributedValue: '<a href="https://example.com">Website</a>',
+      },
+      { key: 'link1', label: 'Call us', value: '+15551234567' },
+    ]),
+  );
+});
+
+test('Google pass link descriptions and URIs are escaped in pkpass attributed values', () => {
+  const link = { uri: 'https://example.com/?a=1&b="2"', description: 'Terms <& conditions>' };
+  const [field] = links.toPkPassFields([link], []);
+  expect(field.attributedValue).toBe(
+    '<a href="https://example.com/?a=1&amp;b=&quot;2&quot;">Terms &lt;&amp; conditions&gt;</a>',
+  );
+  expect(links.fromPkPassFields([{ key: field.key, attributedValue: field.attributedValue }])).toEqual([link]);
+});
+
+test('Google pass links have pkpass back field keys not used by other back fields', () => {
+  const backFields = [{ key: 'link0', label: 'Gate', value: 'B12' }];
+  const fields = links.toPkPassFields(
+    [
+      { uri: 'https://example.com', description: 'Website' },
+      { uri: 'tel:+15551234567', description: 'Call us' },
+    ],
+    backFields,
+  );
+  expect(fields.map(field => field.key)).toEqual(['link1', 'link2']);
+});
+
+test('a pkpass converted back to a pkpass does not repeat the links in its back content', async () => {
+  const backFields = [{ key: 'web', label: 'Website', value: 'https://example.com' }];
+  const pkPass = await convertedPkPassJson(loadPkPassWithBackFields(backFields, { userInfo: { member: 42 } }));
+  expect(pkPass.generic.backFields).toEqual(backFields);
+  expect(pkPass.userInfo).toEqual({ member: 42 });
+});
+
+test('associated apps are mapped to Google pass app links via config', async () => {
+  const pass = loadPkPassWithJson('generic.pkpass', {
+    associatedStoreIdentifiers: [123456789],
+    appLaunchURL: 'example://pass/1',
+  });
+  const googlePass = await pass.toGoogle(_ => undefined);
+  expect(googlePass.genericObjects[0].appLinkData).toEqual({
+    androidAppLinkInfo: {
+      appTarget: { targetUri: { uri: 'https://play.google.com/store/apps/details?id=com.example.app' } },
+    },
+    iosAppLinkInfo: { appTarget: { targetUri: { uri: 'example://pass/1' } } },
+  });
+
+  const pkPass = await convertedPkPassJson(Pass.fromGoogle(googlePass)[0], _ => undefined);
+  expect(pkPass.associatedStoreIdentifiers).toEqual([123456789]);
+  expect(pkPass.appLaunchURL).toBe('example://pass/1');
+});
+
+test('a converted Google pass warns when an associated app is not in the config', async () => {
+  const pass = loadPkPassWithJson('generic.pkpass', { associatedStoreIdentifiers: [987654321] });
+  const googlePass = await pass.toGoogle(_ => undefined);
+  expect(googlePass.genericObjects[0].appLinkData).toBeUndefined();
+  expect(pass.warnings).toContainEqual(expect.objectContaining({ code: 'APP_LINK_NOT_MAPPED' }));
+});
+
+test('a date field is formatted with its style in the time zone it was given in', () => {
+  const pass = loadPkPassWithBackFields([]);
+  const field = {
+    value: '2027-06-01T19:30:00+09:00',
+    dateStyle: 'PKDateStyleLong',
+    timeStyle: 'PKDateStyleShort',
+  };
+  expect(pass.fromPkPassDateTimeField(field, 'en')).toBe('June 1, 2027 at 7:30 PM');
+  expect(pass.fromPkPassDateTimeField(field, 'ja')).toBe('2027年6月1日 19:30');
+  expect(pass.fromPkPassDateTimeField({ ...field, timeStyle: 'PKDateStyleLong' }, 'en')).toBe(
+    'June 1, 2027 at 7:30:00 PM GMT+9',
+  );
+  expect(pass.fromPkPassDateTimeField({ ...field, dateStyle: 'PKDateStyleNone' }, 'de')).toBe('19:30');
+});
+
+test('a Google pass has the date fields of the pkpass formatted in each language', async () => {
+  const pass = loadPkPassWithJson('event.pkpass', {
+    eventTicket: {
+      primaryFields: [{ key: 'event', label: 'Event', value: 'Concert' }],
+      secondaryFields: [
+        {
+          key: 'doors',
+          label: 'Doors',
+          value: '2027-06-01T18:00:00+09:00',
+          dateStyle: 'PKDateStyleShort',
+          timeStyle: 'PKDateStyleShort',
+        },
+      ],
+    },
+  });
+  pass.strings = { en: {}, fr: {} };
+  const googlePass = await pass.toGoogle(_ => undefined);
+  const doors = googlePass.eventTicketObjects[0].textModulesData.find(item => item.id === 'doors');
+  expect(doors.localizedBody).toEqual({
+    defaultValue: { language: 'en', value: '6/1/27, 6:00 PM' },
+    translatedValues: [{ language: 'fr', value: '01/06/2027 18:00' }],
+  });
+});
+
+test('a Google pass has the number and currency fields of the pkpass formatted in each language', async () => {
+  const pass = loadPkPassWithJson('event.pkpass', {
+    eventTicket: {
+      primaryFields: [{ key: 'event', label: 'Event', value: 'Concert' }],
+      secondaryFields: [
+        { key: 'price', label: 'Price', value: 1234.5, currencyCode: 'EUR' },
+        { key: 'discount', label: 'Discount', value: 0.15, numberStyle: 'PKNumberStylePercent' },
+        { key: 'seats', label: 'Seats', value: 1200, numberStyle: 'PKNumberStyleDecimal' },
+      ],
+    },
+  });
+  pass.strings = { en: {}, de: {} };
+  const googlePass = await pass.toGoogle(_ => undefined);
+  const values = Object.fromEntries(
+    googlePass.eventTicketObjects[0].textModulesData.map(item => [
+      item.id,
+      [item.localizedBody.defaultValue.value].concat(
+        (item.localizedBody.translatedValues || []).filter(v => v.language !== 'x-pkpass').map(v => v.value),
+      ),
+    ]),
+  );
+  expect(values.price).toEqual(['€1,234.50', '1.234,50\u00a0€']);
+  expect(values.discount).toEqual(['15%', '15\u00a0%']);
+  expect(values.seats).toEqual(['1,200', '1.200']);
+});
+
+test('a number or currency field with an empty or non-finite value is text', () => {
+  for (const value of ['', ' ', 'NaN', 'Infinity', NaN, undefined]) {
+    expect(numbers.isNumberField({ value, currencyCode: 'USD' })).toBe(false);
+    expect(numbers.format({ value, numberStyle: 'PKNumberStyleDecimal' })).toBeUndefined();
+  }
+  expect(numbers.isNumberField({ value: '0', currencyCode: 'USD' })).toBe(true);
+});
+
+test('a pkpass converted to a Google pass and back keeps its change messages and field formatting', async () => {
+  const fields = [
+    {
+      key: 'balance',
+      label: 'Balance',
+      value: 12.5,
+      currencyCode: 'USD',
+      textAlignment: 'PKTextAlignmentRight',
+      changeMessage: 'Your balance is now %@',
+    },
+    { key: 'discount', label: 'Discount', value: 0.15, numberStyle: 'PKNumberStylePercent' },
+  ];
+  const pass = loadPkPassWithJson('event.pkpass', { eventTicket: { secondaryFields: fields } });
+  const googlePass = await pass.toGoogle(_ => undefined);
+  expect(googlePass.eventTicketObjects[0].textModulesData[0].localizedBody.defaultValue.value).toBe('$12.50');
+
+  const pkPass = await convertedPkPassJson(Pass.fromGoogle(googlePass)[0]);
+  expect(pkPass.eventTicket.secondaryFields).toEqual(fields);
+
+  // A value changed in Google Wallet is kept, along with the rest of the field's formatting
+  googlePass.eventTicketObjects[0].textModulesData[0].localizedBody.defaultValue.value = '$20.00';
+  const updated = await convertedPkPassJson(Pass.fromGoogle(googlePass)[0]);
+  expect(updated.eventTicket.secondaryFields[0]).toEqual({
+    key: 'balance',
+    label: 'Balance',
+    value: '$20.00',
+    textAlignment: 'PKTextAlignmentRight',
+    changeMessage: 'Your balance is now %@',
+  });
+});
+
+test('the changes to a pass are listed with their new values as text', async () => {
+  const { pass } = await loadPass('flight.json');
+  const updated = Pass.fromSnapshot(pass.toSnapshot());
+  updated.update({ gate: 'B12', departure: { ...pass.departure, time: '10:45:00' }, seatClass: undefined });
+  expect(updated.changes(pass)).toEqual([
+    { property: 'seatClass', label: 'Seat class', value: undefined, removed: true },
+    { property: 'gate', label: 'Gate', value: 'B12', removed: false },
+    { property: 'departure', label: 'Departure', value: 'Dec 30, 2033, 10:45 AM', removed: false },
+  ]);
+  expect(Pass.fromSnapshot(pass.toSnapshot()).changes(pass)).toEqual([]);
+});
+
+test('the changes to pkpass content are listed field by field', () => {
+  const pass = loadPkPassWithBackFields([
+    { key: 'gate', label: 'Gate', value: 'A1' },
+    { key: 'terminal', label: 'Terminal', value: '1' },
+    { key: 'notes', label: 'Notes', value: 'Arrive early' },
+  ]);
+  const updated = loadPkPassWithBackFields([
+    { key: 'notes', label: 'Notes', value: 'Arrive early' },
+    { key: 'gate', label: 'Gate', value: 'B12' },
+  ]);
+  expect(updated.changes(pass)).toEqual([
+    { property: 'backContent', key: 'gate', label: 'Gate', value: 'B12', removed: false },
+    { property: 'backContent', key: 'terminal', label: 'Terminal', value: undefined, removed: true },
+  ]);
+});
+
+test('a pkpass signed again without changes is unchanged', () => {
+  const pass = loadPkPassWithBackFields([{ key: 'gate', label: 'Gate', value: 'A1' }]);
+  const signedAgain = loadPkPassWithBackFields([{ key: 'gate', label: 'Gate', value: 'A1' }]);
+  signedAgain.files['signature'] = Buffer.from('another signature');
+  expect(signedAgain.changes(pass)).toEqual([]);
+});
+
+test('pkpass fields changed by the last update have change messages', async () => {
+  const pass = Pass.fromGoogle(require('./fixtures/flight.json'))[0];
+  pass.lastChanges = [{ property: 'gate', label: 'Gate', value: 'C3' }];
+  const zip = new AdmZip(await pass.toPkPass(_ => undefined));
+  const pkPass = JSON.parse(zip.getEntry('pass.json').getData().toString('utf8'));
+  const fields = Object.values(pkPass.boardingPass).filter(Array.isArray).flat();
+  expect(fields.filter(field => field.changeMessage)).toEqual([
+    expect.objectContaining({ label: 'Gate', changeMessage: 'Gate changed to %@' }),
+  ]);
+});
+
+test('a Google pass thumbnail and footer come from the image modules with their IDs', () => {
+  const googlePass = JSON.parse(JSON.stringify(require('./fixtures/event.json')));
+  const image = uri => ({ sourceUri: { uri } });
+  googlePass.eventTicketObjects[0].imageModulesData = [
+    { id: 'banner', mainImage: image('https://example.com/banner.png') },
+    { id: 'thumbnail', mainImage: image('https://example.com/thumbnail.png') },
+    { id: 'footer', mainImage: image('https://example.com/footer.png') },
+  ];
+  const pass = Pass.fromGoogle(googlePass)[0];
+  expect(pass.thumbnail).toBe('https://example.com/thumbnail.png');
+  expect(pass.footer).toBe('https://example.com/footer.png');
+
+  googlePass.eventTicketObjects[0].imageModulesData = [
+    { id: 'banner', mainImage: image('https://example.com/banner.png') },
+  ];
+  expect(Pass.fromGoogle(googlePass)[0].thumbnail).toBeUndefined();
+});
@@ -29,6 +29,37 @@ for (const [field, getGoogleValue] of Object.entries(fieldTests)) {
 
   test(`a converted loyalty Google pass has the ${field} field value`, async () => {
     const { googlePass, pass } = await loadPass('loyalty.pkpass');
-    expect(getGoogleValue(pass, googlePass.loyaltyObjects[0])).toBe(pass[field].value);
+    // Balances are numbers, so Apple Wallet formats them
+    expect(getGoogleValue(pass, googlePass.loyaltyObjects[0])).toBe(Number(pass[field].value));
   });
 }
+
+test('a money balance is a currency field with its amount in units of the currency', async () => {
+  const googlePass = JSON.parse(JSON.stringify(require('./fixtures/loyalty.json')));
+  googlePass.loyaltyObjects[0].loyaltyPoints.balance = { money: { currencyCode: 'USD', micros: '12500000' } };
+  const { pass } = await loadPass('loyalty.json');
+  const balance = pass.fromGoogleBalanceField(googlePass.loyaltyObjects[0].loyaltyPoints);
+  expect(balance).toEqual({ label: 'Test points', currencyCode: 'USD', value: 12.5 });
+  expect(pass.toGoogleBalanceField(balance).balance).toEqual({ money: { currencyCode: 'USD', micros: 12500000 } });
+});
+
+test('a zero balance is kept', async () => {
+  const { pass } = await loadPass('loyalty.json');
+  expect(pass.fromGoogleBalanceField({ label: 'Points', balance: { int: 0 } }).value).toBe(0);
+});
+
+test('an empty balance is kept as text', async () => {
+  const { pass } = await loadPass('loyalty.json');
+  const balance = pass.fromGoogleBalanceField({ label: 'Points', balance: {} });
+  expect(balance.value).toBe('');
+  expect(pass.toGoogleBalanceField(balance).balance).toEqual({ string: '' });
+});
+
+test('an empty or non-finite currency balance is text', async () => {
+  const { pass } = await loadPass('loyalty.json');
+  for (const value of ['', ' ', 'NaN', 'Infinity']) {
+    expect(pass.toGoogleBalanceField({ label: 'Balance', currencyCode: 'USD', value }).balance).toEqual({
+      string: value,
+    });
+  }
+});
@@ -0,0 +1,54 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { lproj } = require('../utils.js');
+
+const strings = `/* Comment with "quotes" = "and"; */
+"greeting" = "Say \\"hi\\"\\nthen leave";
+// Line comment
+"a = b" = "Equals in the key";
+"multi" = "First line
+second line";
+unquoted = "Caf\\U00e9";
+`;
+
+const expected = {
+  'greeting': 'Say "hi"\nthen leave',
+  'a = b': 'Equals in the key',
+  'multi': 'First line\nsecond line',
+  'unquoted': 'Café',
+};
+
+test('a .strings file with comments, escapes and multi-line values is parsed', () => {
+  expect(lproj.parse(strings)).toEqual(expected);
+});
+
+test('a UTF-16 .strings file is parsed with or without a byte order mark', () => {
+  const utf16le = Buffer.from(strings, 'utf16le');
+  const utf16be = Buffer.from(utf16le).swap16();
+  expect(lproj.parse(Buffer.concat([Buffer.from([0xff, 0xfe]), utf16le]))).toEqual(expected);
+  expect(lproj.parse(Buffer.concat([Buffer.from([0xfe, 0xff]), utf16be]))).toEqual(expected);
+  expect(lproj.parse(utf16le)).toEqual(expected);
+});
+
+test('exported .strings files parse back to the same translations', () => {
+  expect(lproj.parse(lproj.export(expected))).toEqual(expected);
+  expect(lproj.export({ tab: 'a\tb' })).toBe('"tab" = "a\\tb";\n');
+});
+
+test('a malformed .strings file throws', () => {
+  expect(() => lproj.parse('"key" = "value"\n"other" = "value";')).toThrow(/expected ';' on line 2/);
+});
@@ -14,7 +14,7 @@
  * limitations under the License.
  */
 
-const { loadPass, pkPassHasValue } = require('./utils.js');
+const { loadPass, loadPkPassWithImages, pkPassImages, createImage, imageSize, pkPassHasValue } = require('./utils.js');
 
 test('a converted offer pkpass has a title field', async () => {
   const { pkPass, pass } = await loadPass('offer.json');
@@ -25,3 +25,18 @@ test('a converted offer Google pass has a title field', async () => {
   const { googlePass, pass } = await loadPass('offer.pkpass');
   expect(googlePass.offerClasses[0].localizedTitle.defaultValue.value).toBe(pass.title);
 });
+
+test('a converted offer Google pass has the strip image as its hero image', async () => {
+  const pass = loadPkPassWithImages('offer.pkpass', { strip: await createImage(750, 288) });
+  const googlePass = await pass.toGoogle(async image => `https://example.com/${await imageSize(image)}`);
+  expect(googlePass.offerObjects[0].heroImage.sourceUri.uri).toBe('https://example.com/750x288.png');
+});
+
+test('a converted offer pkpass has the hero image as its strip image', async () => {
+  const googlePass = JSON.parse(JSON.stringify(require('./fixtures/offer.json')));
+  googlePass.offerObjects[0].heroImage = { sourceUri: { uri: 'https://example.com/hero.png' } };
+  const files = await pkPassImages(googlePass, async uri => createImage(1032, 336));
+  expect(await imageSize(files['strip.png'])).toBe('375x144.png');
+  expect(await imageSize(files['strip@2x.png'])).toBe('750x288.png');
+  expect(await imageSize(files['strip@3x.png'])).toBe('1125x432.png');
+});
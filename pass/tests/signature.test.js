@@ -0,0 +1,134 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { createCredentials } = require('./utils.js');
+const signature = require('../signature.js');
+
+const manifest = Buffer.from(JSON.stringify({ 'pass.json': 'da39a3ee5e6b4b0d3255bfef95601890afd80709' }));
+
+test('a signed manifest has a detached PKCS#7 signature with both certificates', () => {
+  const credentials = createCredentials();
+  const p7 = forge.pkcs7.messageFromAsn1(forge.asn1.fromDer(signature.sign(manifest, credentials).toString('binary')));
+  expect(p7.certificates.length).toBe(2);
+  expect(p7.rawCapture.content).toBeUndefined();
+});
+
+test('a manifest can be signed with an encrypted key', () => {
+  const credentials = createCredentials('secret');
+  expect(signature.sign(manifest, credentials).length).toBeGreaterThan(0);
+});
+
+test('signing with the wrong passphrase fails', () => {
+  const credentials = createCredentials('secret');
+  credentials.passphrase = 'wrong';
+  expect(() => signature.sign(manifest, credentials)).toThrow(/unable to read signing key/);
+});
+
+test('signing with a key that does not match the certificate fails', () => {
+  const credentials = createCredentials();
+  credentials.key = createCredentials().key;
+  expect(() => signature.sign(manifest, credentials)).toThrow(/does not match/);
+});
+
+test('signing is skipped when not configured, and fails when partly configured', () => {
+  expect(signature.credentials()).toBeUndefined();
+  jest.isolateModules(() => {
+    jest.doMock('../../config.js', () => ({ pkPassSigningCertPath: 'cert.pem', pkPassPassTypeId: 'pass.com.example' }));
+    expect(() => require('../signature.js').credentials()).toThrow(
+      'Cannot sign PKPass, pkPassSigningKeyPath, pkPassWwdrCertPath, pkPassTeamId config must be defined',
+    );
+  });
+});
+
+function signedFiles(credentials) {
+  const files = {
+    'pass.json': Buffer.from(JSON.stringify({ passTypeIdentifier: 'pass.com.example', teamIdentifier: 'TEAMID' })),
+    'icon.png': Buffer.from('icon'),
+  };
+  const manifest = Buffer.from(
+    JSON.stringify({
+      'pass.json': crypto.createHash('sha1').update(files['pass.json']).digest('hex'),
+      'icon.png': crypto.createHash('sha256').update(files['icon.png']).digest('hex'),
+    }),
+  );
+  files['manifest.json'] = manifest;
+  files['signature'] = signature.sign(manifest, credentials);
+  return files;
+}
+
+test('a signed pkpass verifies against its root certificate', () => {
+  const credentials = createCredentials();
+  const report = signature.verify(signedFiles(credentials), credentials.wwdr);
+  expect(report.signatureError).toBeUndefined();
+  expect(report.valid).toBe(true);
+});
+
+test('verification reports missing, extra and tampered files', () => {
+  const credentials = createCredentials();
+  const files = signedFiles(credentials);
+  delete files['icon.png'];
+  files['pass.json'] = Buffer.from('{"tampered":true}');
+  files['strip.png'] = Buffer.from('strip');
+  const report = signature.verify(files, credentials.wwdr);
+  expect(report.valid).toBe(false);
+  expect(report.missing).toEqual(['icon.png']);
+  expect(report.extra).toEqual(['strip.png']);
+  expect(report.tampered).toEqual(['pass.json']);
+});
+
+test('verification fails when the manifest does not match the signature', () => {
+  const credentials = createCredentials();
+  const files = signedFiles(credentials);
+  files['manifest.json'] = Buffer.from(files['manifest.json'].toString().replace('}', ', "extra": "x"}'));
+  const report = signature.verify(files, credentials.wwdr);
+  expect(report.signatureError).toMatch(/does not match manifest/);
+});
+
+test('verification fails against an untrusted root certificate', () => {
+  const files = signedFiles(createCredentials());
+  const report = signature.verify(files, createCredentials().wwdr);
+  expect(report.valid).toBe(false);
+  expect(report.signatureError).toMatch(/not trusted/);
+});
+
+test('verification fails for a certificate issued for another pass type or team', () => {
+  const credentials = createCredentials(undefined, { passTypeId: 'pass.com.other' });
+  let report = signature.verify(signedFiles(credentials), credentials.wwdr);
+  expect(report.valid).toBe(false);
+  expect(report.signatureError).toMatch(/not issued for pass type identifier pass\.com\.example/);
+
+  const team = createCredentials(undefined, { teamId: 'OTHERTEAM' });
+  report = signature.verify(signedFiles(team), team.wwdr);
+  expect(report.signatureError).toMatch(/not issued for team identifier TEAMID/);
+});
+
+test('verification fails for a certificate that is not a Pass Type ID certificate', () => {
+  const credentials = createCredentials(undefined, null);
+  const report = signature.verify(signedFiles(credentials), credentials.wwdr);
+  expect(report.signatureError).toMatch(/not a Pass Type ID certificate/);
+});
+
+test('verification fails for an expired signing certificate, even when signed before it expired', () => {
+  const credentials = createCredentials(undefined, { expired: true });
+  jest.useFakeTimers({ now: Date.now() - 12 * 3600000 });
+  const files = signedFiles(credentials);
+  jest.useRealTimers();
+  const report = signature.verify(files, credentials.wwdr);
+  expect(report.valid).toBe(false);
+  expect(report.signatureError).toMatch(/not trusted/);
+});
@@ -14,13 +14,14 @@
  * limitations under the License.
  */
 
+const dates = require('../dates.js');
 const { loadPass, pkPassHasValue } = require('./utils.js');
 
 const fieldTests = {
   'an origin name': pass => pass.originName,
-  'an origin date/time': pass => `${pass.originDate} ${pass.originTime}`,
+  'an origin date/time': pass => dates.toPkPass(pass.departure),
   'a destination name': pass => pass.destinationName,
-  'a destination date/time': pass => `${pass.destinationDate} ${pass.destinationTime}`,
+  'a destination date/time': pass => dates.toPkPass(pass.arrival),
 };
 
 for (const [fieldName, getField] of Object.entries(fieldTests)) {
@@ -15,8 +15,10 @@
  */
 
 const AdmZip = require('adm-zip');
+const forge = require('node-forge');
 const fs = require('fs');
 const path = require('path');
+const sharp = require('sharp');
 const Pass = require('../');
 const flatten = require('../utils.js').flatten;
 
@@ -27,7 +29,7 @@ function getPkPassJson(buffer) {
 
 async function googleToPkPass(name) {
   const googlePass = require(`./fixtures/${name}`);
-  const pass = Pass.fromGoogle(googlePass);
+  const pass = Pass.fromGoogle(googlePass)[0];
   const pkPass = getPkPassJson(await pass.toPkPass(_ => undefined));
   return { pass, googlePass, pkPass };
 }
@@ -49,10 +51,86 @@ async function loadPass(name) {
   }
 }
 
+function loadPkPassWithImages(name, images) {
+  const zip = new AdmZip(fs.readFileSync(path.resolve(__dirname, `fixtures/${name}`)));
+  Object.entries(images).forEach(([image, data]) => zip.addFile(`${image}@2x.png`, Buffer.from(data)));
+  return Pass.fromPkPass(zip.toBuffer());
+}
+
+async function pkPassImages(googlePass, imageHandler) {
+  const pass = Pass.fromGoogle(googlePass)[0];
+  const zip = new AdmZip(await pass.toPkPass(imageHandler));
+  return Object.fromEntries(zip.getEntries().map(file => [file.entryName, file.getData()]));
+}
+
+function createImage(width, height, format = 'png') {
+  return sharp({ create: { width, height, channels: 4, background: { r: 255, g: 0, b: 0, alpha: 1 } } })
+    .toFormat(format)
+    .toBuffer();
+}
+
+async function imageSize(imageBuffer) {
+  const { width, height, format } = await sharp(imageBuffer).metadata();
+  return `${width}x${height}.${format}`;
+}
+
 function pkPassHasValue(contentFields, value) {
   return flatten(Object.values(contentFields)).filter(field => field && value && field.value === value).length > 0;
 }
 
+function createCertificate(subject, keys, issuer, issuerKey, passType) {
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = subject === issuer ? '01' : '02';
+  cert.validity.notBefore = new Date(Date.now() - 86400000);
+  cert.validity.notAfter = new Date(Date.now() + (passType && passType.expired ? -3600000 : 86400000));
+  cert.setSubject([
+    { name: 'commonName', value: subject },
+    ...(passType
+      ? [
+          { type: '0.9.2342.19200300.100.1.1', value: passType.passTypeId },
+          { name: 'organizationalUnitName', value: passType.teamId },
+        ]
+      : []),
+  ]);
+  cert.setIssuer([{ name: 'commonName', value: issuer }]);
+  cert.setExtensions([
+    { name: 'basicConstraints', cA: subject === issuer },
+    ...(passType
+      ? [
+          {
+            id: '1.2.840.113635.100.6.1.16',
+            value: forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.NULL, false, ''),
+          },
+        ]
+      : []),
+  ]);
+  cert.sign(issuerKey, forge.md.sha256.create());
+  return cert;
+}
+
+function createCredentials(passphrase, passType = {}) {
+  const wwdrKeys = forge.pki.rsa.generateKeyPair(1024);
+  const keys = forge.pki.rsa.generateKeyPair(1024);
+  passType = passType && { passTypeId: 'pass.com.example', teamId: 'TEAMID', ...passType };
+  return {
+    key: passphrase
+      ? forge.pki.encryptRsaPrivateKey(keys.privateKey, passphrase)
+      : forge.pki.privateKeyToPem(keys.privateKey),
+    cert: forge.pki.certificateToPem(createCertificate('Pass Type ID', keys, 'WWDR', wwdrKeys.privateKey, passType)),
+    wwdr: forge.pki.certificateToPem(createCertificate('WWDR', wwdrKeys, 'WWDR', wwdrKeys.privateKey)),
+    passphrase: passphrase,
+  };
+}
+
 process.env.PASS_CONVERTER_CONFIG_PATH = path.resolve(__dirname, 'test-config.json');
 
-module.exports = { loadPass, pkPassHasValue };
+module.exports = {
+  loadPass,
+  loadPkPassWithImages,
+  pkPassImages,
+  createImage,
+  imageSize,
+  pkPassHasValue,
+  createCredentials,
+};
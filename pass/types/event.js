@@ -29,6 +29,9 @@ class Event extends Pass {
   // The PKPass type
   static pkpassContentFields = 'eventTicket';
 
+  // The PKPass images supported by the style
+  static pkpassImages = ['strip', 'background', 'thumbnail'];
+
   /**
    * Create an Event object from a PKPass
    * @param {Object} json The PKPass archive JSON
@@ -54,6 +57,7 @@ class Event extends Pass {
     this.update({
       title: this.fromGoogleLocalizedField(cls, 'eventName'),
       logo: this.fromGoogleImageField(cls.logo),
+      wideLogo: this.fromGoogleImageField(cls.wideLogo),
     });
   }
 
@@ -88,9 +92,15 @@ class Event extends Pass {
 
     this.update(pass.eventTicketClasses[0], {
       eventName: this.toGoogleLocalizedField(this.title),
-      logo: this.toGoogleImageField(await imageHandler(this.logo)),
+      logo: await this.toGoogleImage(imageHandler, this.logo, true),
+      wideLogo: await this.toGoogleImage(imageHandler, this.wideLogo),
     });
 
+    // Event tickets without a strip image often use the background image for the event artwork
+    if (!this.heroImage) {
+      pass.eventTicketObjects[0].heroImage = await this.toGoogleImage(imageHandler, this.background);
+    }
+
     return pass;
   }
 }
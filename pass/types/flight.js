@@ -16,7 +16,7 @@
 
 const Pass = require('../');
 const flatten = require('../utils.js').flatten;
-const parseDate = require('chrono-node').parseDate;
+const dates = require('../dates.js');
 const getAirlineName = require('airlines-iata-codes').getAirlineName;
 
 /**
@@ -35,6 +35,9 @@ class Flight extends Pass {
   // The PKPass transit type (PKPass groups air with other transit types)
   static pkpassTransitTypes = ['PKTransitTypeAir'];
 
+  // The PKPass images supported by the style
+  static pkpassImages = ['footer'];
+
   /**
    * Get the IATA or ICAO carrier code
    *
@@ -45,16 +48,6 @@ class Flight extends Pass {
     return this.flightNumber.slice(0, 2);
   }
 
-  /**
-   * Get the departure date/time
-   *
-   * @return {Date} - The departure date/time
-   * @instance
-   */
-  get departureDateTime() {
-    return parseDate(`${this.date} ${this.time}`);
-  }
-
   /**
    * Create a Flight object from a PKPass
    * @param {Object} json The PKPass archive JSON
@@ -70,14 +63,32 @@ class Flight extends Pass {
       origin: json.departureCode || this.hintedPkPassFieldValue('flight.originCode'),
       destination: json.arrivalCode || this.hintedPkPassFieldValue('flight.destinationCode'),
       flightNumber: this.hintedPkPassFieldValue('flight.flightNumber').replace(/\s/g, ''),
-      date: this.hintedPkPassFieldValue('flight.date'),
-      time: this.hintedPkPassFieldValue('flight.time'),
       confirmationCode: this.hintedPkPassFieldValue('flight.confirmationCode'),
+      boardingGroup: this.hintedPkPassOptionalFieldValue('flight.boardingGroup'),
+      boardingPosition: this.hintedPkPassOptionalFieldValue('flight.boardingPosition'),
+      sequenceNumber: this.hintedPkPassOptionalFieldValue('flight.sequenceNumber'),
+      originTerminal: this.hintedPkPassOptionalFieldValue('flight.originTerminal'),
     });
 
-    if (this.departureDateTime === null) {
+    // Dates and times may be in separate fields, and times are on the departure date unless set
+    const departure = dates.combine(
+      this.hintedPkPassDateTimeValue('flight.date'),
+      this.hintedPkPassDateTimeValue('flight.time'),
+    );
+    if (!departure || !departure.date || !departure.time) {
       throw 'Could not determine flight departure date/time, please specify via hints.json';
     }
+    const arrivalTime = this.hintedPkPassDateTimeValue('flight.arrivalTime');
+    const boardingTime = this.hintedPkPassDateTimeValue('flight.boardingTime');
+    this.update({
+      departure: departure,
+      arrival:
+        arrivalTime &&
+        dates.combine(this.hintedPkPassDateTimeValue('flight.arrivalDate'), arrivalTime, {
+          date: departure.date,
+        }),
+      boarding: boardingTime && dates.combine(boardingTime, departure),
+    });
   }
 
   /**
@@ -88,12 +99,12 @@ class Flight extends Pass {
    * @instance
    */
   fromGoogle(obj, cls) {
-    const dateTime = parseDate(cls.localScheduledDepartureDateTime);
     const flightNumber = cls.flightHeader.carrier.carrierIataCode + cls.flightHeader.flightNumber;
 
     this.update({
       title: obj.passengerName,
       logo: this.fromGoogleImageField(cls.flightHeader.carrier.airlineLogo),
+      wideLogo: this.fromGoogleImageField(cls.flightHeader.carrier.wideAirlineLogo),
       description: flightNumber,
       passenger: obj.passengerName,
       seatNumber: obj.boardingAndSeatingInfo.seatNumber,
@@ -103,8 +114,15 @@ class Flight extends Pass {
       origin: cls.origin.airportIataCode,
       destination: cls.destination.airportIataCode,
       flightNumber: flightNumber,
-      date: dateTime.toLocaleDateString(),
-      time: dateTime.toLocaleTimeString(),
+      // Google Wallet flight times are the local time at the airport
+      departure: dates.parse(cls.localScheduledDepartureDateTime),
+      arrival: dates.parse(cls.localScheduledArrivalDateTime),
+      boarding: dates.parse(cls.localBoardingDateTime),
+      boardingGroup: obj.boardingAndSeatingInfo.boardingGroup,
+      boardingPosition: obj.boardingAndSeatingInfo.boardingPosition,
+      sequenceNumber: obj.boardingAndSeatingInfo.sequenceNumber,
+      securityProgramLogo: this.fromGoogleImageField(obj.securityProgramLogo),
+      originTerminal: cls.origin.terminal,
     });
   }
 
@@ -118,7 +136,7 @@ class Flight extends Pass {
   async toPkPass(imageHandler) {
     this.setPkPassContentFields({
       headerFields: [
-        this.toPkPassContentField('Date', this.date),
+        this.toPkPassDateTimeField('Date', this.departure, 'PKDateStyleMedium', 'PKDateStyleNone'),
         this.toPkPassContentField('Flight', this.flightNumber),
       ],
       primaryFields: [
@@ -128,9 +146,22 @@ class Flight extends Pass {
       secondaryFields: [
         this.toPkPassContentField('Passenger', this.passenger),
         this.toPkPassContentField('Seat', this.seatNumber),
-      ],
-      auxiliaryFields: [this.toPkPassContentField('Gate', this.gate), this.toPkPassContentField('Time', this.time)],
-      backFields: flatten(this.frontContent).concat(this.backContent || []),
+        this.toPkPassContentField('Group', this.boardingGroup),
+        this.toPkPassContentField('Position', this.boardingPosition),
+      ].filter(field => field.value !== undefined),
+      auxiliaryFields: [
+        this.toPkPassContentField('Gate', this.gate),
+        this.toPkPassContentField('Terminal', this.originTerminal),
+        this.toPkPassDateTimeField('Boarding', this.boarding, 'PKDateStyleNone', 'PKDateStyleShort'),
+        this.toPkPassDateTimeField('Time', this.departure, 'PKDateStyleNone', 'PKDateStyleShort'),
+        this.toPkPassDateTimeField('Arrives', this.arrival, 'PKDateStyleNone', 'PKDateStyleShort'),
+      ].filter(field => field && field.value !== undefined),
+      backFields: [
+        this.toPkPassContentField('Sequence', this.sequenceNumber),
+        this.toPkPassDateTimeField('Arrival date', this.arrival, 'PKDateStyleMedium', 'PKDateStyleNone'),
+      ]
+        .filter(field => field && field.value !== undefined)
+        .concat(flatten(this.frontContent), this.backContent || []),
     });
 
     this.content.transitType = Flight.pkpassTransitTypes[0];
@@ -153,15 +184,20 @@ class Flight extends Pass {
       boardingAndSeatingInfo: {
         seatNumber: this.seatNumber,
         seatClass: this.seatClass,
+        boardingGroup: this.boardingGroup,
+        boardingPosition: this.boardingPosition,
+        sequenceNumber: this.sequenceNumber,
       },
       reservationInfo: {
         confirmationCode: this.confirmationCode,
       },
+      securityProgramLogo: this.toGoogleImageField(this.securityProgramLogo),
     });
 
     this.update(pass.flightClasses[0], {
       origin: {
         gate: this.gate,
+        terminal: this.originTerminal,
         airportIataCode: this.origin,
       },
       destination: {
@@ -171,10 +207,13 @@ class Flight extends Pass {
         flightNumber: this.flightNumber.slice(2),
         carrier: {
           carrierIataCode: this.carrierCode,
-          airlineLogo: this.toGoogleImageField(await imageHandler(this.image('icon'))),
+          airlineLogo: await this.toGoogleImage(imageHandler, this.image('icon'), true),
+          wideAirlineLogo: await this.toGoogleImage(imageHandler, this.wideLogo),
         },
       },
-      localScheduledDepartureDateTime: this.departureDateTime.toISOString().split('.')[0],
+      localScheduledDepartureDateTime: dates.toLocalIso(this.departure),
+      localScheduledArrivalDateTime: dates.toLocalIso(this.arrival),
+      localBoardingDateTime: dates.toLocalIso(this.boarding),
     });
 
     return pass;
@@ -28,6 +28,9 @@ class Generic extends Pass {
   // The PKPass type
   static pkpassContentFields = 'generic';
 
+  // The PKPass images supported by the style
+  static pkpassImages = ['thumbnail'];
+
   /**
    * Create a Generic object from a Google Wallet pass
    * @param {Object} obj Google Wallet pass JSON
@@ -39,6 +42,7 @@ class Generic extends Pass {
     this.update({
       title: this.fromGoogleLocalizedField(obj, 'cardTitle'),
       logo: this.fromGoogleImageField(obj.logo),
+      wideLogo: this.fromGoogleImageField(obj.wideLogo),
       description: this.fromGoogleLocalizedField(obj, 'header'),
     });
   }
@@ -74,10 +78,10 @@ class Generic extends Pass {
     });
 
     this.update(pass.genericObjects[0], {
-      state: undefined,
       cardTitle: this.toGoogleLocalizedField(this.title),
       header: this.toGoogleLocalizedField(this.description),
-      logo: this.toGoogleImageField(await imageHandler(this.logo)),
+      logo: await this.toGoogleImage(imageHandler, this.logo, true),
+      wideLogo: await this.toGoogleImage(imageHandler, this.wideLogo),
     });
 
     return pass;
@@ -28,6 +28,9 @@ class Offer extends Pass {
   // The PKPass type
   static pkpassContentFields = 'coupon';
 
+  // The PKPass images supported by the style
+  static pkpassImages = ['strip'];
+
   /**
    * Create an Offer object from a PKPass
    * @param {Object} json The PKPass archive JSON
@@ -52,6 +55,7 @@ class Offer extends Pass {
     this.update({
       title: this.fromGoogleLocalizedField(cls, 'title'),
       logo: this.fromGoogleImageField(cls.titleImage),
+      wideLogo: this.fromGoogleImageField(cls.wideTitleImage),
     });
   }
 
@@ -88,7 +92,8 @@ class Offer extends Pass {
       redemptionChannel: 'BOTH',
       provider: this.issuer,
       localizedTitle: this.toGoogleLocalizedField(this.title),
-      titleImage: this.toGoogleImageField(await imageHandler(this.logo)),
+      titleImage: await this.toGoogleImage(imageHandler, this.logo, true),
+      wideTitleImage: await this.toGoogleImage(imageHandler, this.wideLogo),
     });
 
     return pass;
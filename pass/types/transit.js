@@ -15,7 +15,7 @@
  */
 
 const Pass = require('../');
-const parseDate = require('chrono-node').parseDate;
+const dates = require('../dates.js');
 
 /**
  * Enum for transit types
@@ -56,6 +56,9 @@ class Transit extends Pass {
   static pkpassContentFields = 'boardingPass';
   static pkpassTransitTypes = Object.keys(APPLE_TRANSIT_TYPES);
 
+  // The PKPass images supported by the style
+  static pkpassImages = ['footer'];
+
   /**
    * Create a Transit object from a PKPass
    * @param {Object} json The PKPass archive JSON
@@ -66,11 +69,16 @@ class Transit extends Pass {
     this.update({
       transitType: APPLE_TRANSIT_TYPES[json[this.pkpassContentFields].transitType],
       originName: this.hintedPkPassFieldValue('transit.originName'),
-      originDate: this.hintedPkPassFieldValue('transit.originDate'),
-      originTime: this.hintedPkPassFieldValue('transit.originTime'),
       destinationName: this.hintedPkPassFieldValue('transit.destinationName'),
-      destinationDate: this.hintedPkPassFieldValue('transit.destinationDate'),
-      destinationTime: this.hintedPkPassFieldValue('transit.destinationTime'),
+      // Dates and times may be in the same field or separate fields
+      departure: dates.combine(
+        this.hintedPkPassDateTimeValue('transit.originDate'),
+        this.hintedPkPassDateTimeValue('transit.originTime'),
+      ),
+      arrival: dates.combine(
+        this.hintedPkPassDateTimeValue('transit.destinationDate'),
+        this.hintedPkPassDateTimeValue('transit.destinationTime'),
+      ),
     });
   }
 
@@ -82,8 +90,6 @@ class Transit extends Pass {
    * @instance
    */
   fromGoogle(obj, cls) {
-    const originDateTime = parseDate(obj.ticketLeg.departureDateTime);
-    const destinationDateTime = parseDate(obj.ticketLeg.arrivalDateTime);
     const originName = obj.ticketLeg.originName
       ? this.fromGoogleLocalizedField(obj.ticketLeg, 'originName')
       : obj.ticketLeg.originStationCode;
@@ -94,13 +100,12 @@ class Transit extends Pass {
     this.update({
       title: `${originName} - ${destinationName}`,
       logo: this.fromGoogleImageField(cls.logo),
+      wideLogo: this.fromGoogleImageField(cls.wideLogo),
       transitType: cls.transitType,
       originName: originName,
-      originDate: originDateTime.toLocaleDateString(),
-      originTime: originDateTime.toLocaleTimeString(),
       destinationName: destinationName,
-      destinationDate: destinationDateTime.toLocaleDateString(),
-      destinationTime: destinationDateTime.toLocaleTimeString(),
+      departure: dates.parse(obj.ticketLeg.departureDateTime),
+      arrival: dates.parse(obj.ticketLeg.arrivalDateTime),
     });
   }
 
@@ -118,9 +123,9 @@ class Transit extends Pass {
         this.toPkPassContentField('Destination', this.destinationName),
       ],
       secondaryFields: [
-        this.toPkPassContentField('Departing', `${this.originDate} ${this.originTime}`),
-        this.toPkPassContentField('Arriving', `${this.destinationDate} ${this.destinationTime}`),
-      ],
+        this.toPkPassDateTimeField('Departing', this.departure, 'PKDateStyleMedium', 'PKDateStyleShort'),
+        this.toPkPassDateTimeField('Arriving', this.arrival, 'PKDateStyleMedium', 'PKDateStyleShort'),
+      ].filter(field => field),
     });
 
     this.content.transitType = TRANSIT_TYPES[this.transitType.toUpperCase()].pkpass;
@@ -139,7 +144,8 @@ class Transit extends Pass {
 
     this.update(pass.transitClasses[0], {
       transitType: this.transitType,
-      logo: this.toGoogleImageField(await imageHandler(this.logo)),
+      logo: await this.toGoogleImage(imageHandler, this.logo, true),
+      wideLogo: await this.toGoogleImage(imageHandler, this.wideLogo),
     });
 
     this.update(pass.transitObjects[0], {
@@ -147,8 +153,9 @@ class Transit extends Pass {
       ticketLeg: {
         originName: this.toGoogleLocalizedField(this.originName),
         destinationName: this.toGoogleLocalizedField(this.destinationName),
-        departureDateTime: parseDate(`${this.originDate} ${this.originTime}`).toISOString(),
-        arrivalDateTime: parseDate(`${this.destinationDate} ${this.destinationTime}`).toISOString(),
+        // Keep the UTC offset, so Google Wallet knows the time zone
+        departureDateTime: dates.toIso(this.departure),
+        arrivalDateTime: dates.toIso(this.arrival),
       },
     });
 
@@ -14,7 +14,9 @@
  * limitations under the License.
  */
 
-const stripComments = require('strip-comments');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const dates = require('./dates.js');
 
 /**
  * Flattens the array by concatenating nested arrays (e.g. [1, [2, 2, 2], 3, 4]
@@ -46,38 +48,75 @@ class Barcodes {
     },
     QR_CODE: {
       pkpass: 'PKBarcodeFormatQR',
-      googleLegacy: ['qrCode'],
+      googleLegacy: ['qrCode', 'qrcode'],
+    },
+    // Google Wallet formats PKPass doesn't support are shown as the PKPass
+    // format of the same kind (linear or 2D), which can encode the same message
+    CODABAR: {
+      fallback: 'CODE_128',
+      googleLegacy: ['codabar'],
+    },
+    CODE_39: {
+      fallback: 'CODE_128',
+      googleLegacy: ['code39'],
+    },
+    DATA_MATRIX: {
+      fallback: 'QR_CODE',
+      googleLegacy: ['dataMatrix'],
+    },
+    EAN_8: {
+      fallback: 'CODE_128',
+      googleLegacy: ['ean8'],
+    },
+    EAN_13: {
+      fallback: 'CODE_128',
+      googleLegacy: ['ean13'],
+    },
+    ITF_14: {
+      fallback: 'CODE_128',
+      googleLegacy: ['itf14'],
+    },
+    UPC_A: {
+      fallback: 'CODE_128',
+      googleLegacy: ['upcA'],
+    },
+    TEXT_ONLY: {
+      googleLegacy: ['textOnly'],
     },
   };
 
   /**
-   * Gets a barcode message and supported types from a list of PKPass barcodes
+   * Gets the barcodes from a list of PKPass barcodes
    *
    * @param {Array} barcodes - The list of PKPass barcodes
-   * @returns {Object} The barcode message and the matching Google Wallet barcode types
+   * @returns {Array} The barcodes with a supported format, each with the
+   *     message, matching Google Wallet barcode type, alternate text and
+   *     message encoding
    */
   fromPkPass(barcodes) {
-    let matched = undefined;
-
     // Map PKPass format to Google Wallet format
-    const pkPassFormats = Object.fromEntries(Object.entries(this.formats).map(e => [e[1].pkpass, e[0]]));
+    const pkPassFormats = Object.fromEntries(
+      Object.entries(this.formats)
+        .filter(e => e[1].pkpass)
+        .map(e => [e[1].pkpass, e[0]]),
+    );
 
-    // Check each barcode for a match and add to to matched.format
-    barcodes.forEach(barcode => {
-      matched = {
+    return barcodes
+      .filter(barcode => pkPassFormats[barcode.format])
+      .map(barcode => ({
         message: barcode.message,
         format: pkPassFormats[barcode.format],
-      };
-    });
-
-    // Return the barcode message and matched types
-    return matched;
+        altText: barcode.altText,
+        messageEncoding: barcode.messageEncoding,
+      }));
   }
 
   /**
-   * Gets a barcode message and supported types from a Google Wallet barcode
+   * Gets the barcodes from a Google Wallet barcode
    * @param {Object} barcode - The Google Wallet barcode
-   * @returns {Object} The barcode message and the matching Google Wallet barcode types
+   * @returns {Array} The barcode with its message, Google Wallet barcode
+   *     type, alternate text and message encoding, or an empty list if there
+   *     is no barcode or the type is not supported
    */
   fromGoogle(barcode) {
     // Map legacy format names to updated format names
@@ -91,42 +130,721 @@ class Barcodes {
 
     // Check if the barcode exists and the type is supported
     if (barcode && (this.formats[barcode.type] || legacyFormats[barcode.type])) {
+      return [
+        {
+          format: legacyFormats[barcode.type] || barcode.type,
+          message: barcode.value,
+          altText: barcode.alternateText,
+          messageEncoding: barcode.renderEncoding === 'UTF_8' ? 'utf-8' : undefined,
+        },
+      ];
+    }
+    return [];
+  }
+
+  /**
+   * Gets a rotating barcode from a Google Wallet rotating barcode
+   * @param {Object} rotatingBarcode - The Google Wallet rotating barcode
+   * @returns {Object} The rotating barcode with its value pattern, TOTP
+   *     details and initial values, or undefined if there is no rotating
+   *     barcode or the type is not supported
+   */
+  fromGoogleRotating(rotatingBarcode) {
+    if (!rotatingBarcode) {
+      return;
+    }
+    const barcode = this.fromGoogle({ ...rotatingBarcode, value: rotatingBarcode.valuePattern })[0];
+    if (barcode) {
+      const totp = rotatingBarcode.totpDetails;
+      const initial = rotatingBarcode.initialRotatingBarcodeValues;
+      return {
+        format: barcode.format,
+        valuePattern: barcode.message,
+        altText: barcode.altText,
+        messageEncoding: barcode.messageEncoding,
+        totp: totp && {
+          periodMillis: Number(totp.periodMillis),
+          algorithm: totp.algorithm,
+          parameters: (totp.parameters || []).map(parameter => ({
+            key: parameter.key,
+            valueLength: parameter.valueLength,
+          })),
+        },
+        initialValues: initial && {
+          startTime: Date.parse(initial.startDateTime),
+          periodMillis: Number(initial.periodMillis),
+          values: initial.values || [],
+        },
+      };
+    }
+  }
+
+  /**
+   * Gets the value a rotating barcode shows at a point in time
+   * @param {Object} rotatingBarcode - The rotating barcode
+   * @param {number} time - The time in milliseconds
+   * @returns {Object} The barcode message and the times it starts and stops
+   *     being shown, or undefined if the value can't be generated at that time
+   */
+  rotatingValue(rotatingBarcode, time) {
+    const { totp, initialValues } = rotatingBarcode;
+    if (totp && totp.periodMillis > 0 && totp.algorithm === 'TOTP_SHA1') {
+      // Fill in the value pattern, see:
+      // https://developers.google.com/wallet/reference/rest/v1/RotatingBarcode
+      const counter = Math.floor(time / totp.periodMillis);
+      const message = rotatingBarcode.valuePattern.replace(
+        /\{totp_(value_(\d+)|timestamp_millis|timestamp_seconds)\}/g,
+        (match, name, index) => {
+          if (name === 'timestamp_millis') {
+            return String(time);
+          } else if (name === 'timestamp_seconds') {
+            return String(Math.floor(time / 1000));
+          }
+          const parameter = totp.parameters[Number(index)];
+          return parameter ? totpValue(parameter.key, counter, parameter.valueLength) : match;
+        },
+      );
+      return { message, starts: counter * totp.periodMillis, expires: (counter + 1) * totp.periodMillis };
+    }
+
+    if (initialValues && initialValues.periodMillis > 0) {
+      // Use the pre-generated value for the time, if there is one
+      const index = Math.floor((time - initialValues.startTime) / initialValues.periodMillis);
+      if (index >= 0 && index < initialValues.values.length) {
+        return {
+          message: initialValues.values[index],
+          starts: initialValues.startTime + index * initialValues.periodMillis,
+          expires: initialValues.startTime + (index + 1) * initialValues.periodMillis,
+        };
+      }
+    }
+  }
+
+  /**
+   * Gets the format a barcode is shown as in a PKPass
+   * @param {string} format - The Google Wallet barcode type
+   * @returns {string} The same type if PKPass supports it, the type it can
+   *     be substituted with, or undefined if it can't be shown
+   */
+  pkpassFormat(format) {
+    const { pkpass, fallback } = this.formats[format];
+    return pkpass ? format : fallback;
+  }
+
+  /**
+   * Converts a barcode to a PKPass barcode
+   * @param {Object} barcode - The barcode
+   * @returns {Object} The PKPass barcode, or undefined if the format can't be
+   *     shown in a PKPass
+   */
+  toPkPass(barcode) {
+    const format = this.pkpassFormat(barcode.format);
+    if (format) {
       return {
-        format: legacyFormats[barcode.type] || barcode.type,
-        message: barcode.value,
+        message: barcode.message,
+        format: this.formats[format].pkpass,
+        altText: barcode.altText,
+        // PKPass requires the encoding, and most scanners expect Latin-1
+        messageEncoding: barcode.messageEncoding || 'iso-8859-1',
       };
     }
   }
+
+  /**
+   * Converts a barcode to a Google Wallet barcode
+   * @param {Object} barcode - The barcode
+   * @returns {Object} The Google Wallet barcode
+   */
+  toGoogle(barcode) {
+    return {
+      type: barcode.format,
+      value: barcode.message,
+      alternateText: barcode.altText,
+      renderEncoding:
+        barcode.messageEncoding && barcode.messageEncoding.toLowerCase() === 'utf-8' ? 'UTF_8' : undefined,
+    };
+  }
 }
 
 /**
- * Text parsing utility
- *
- * @todo Use an actual parser
+ * Maps the data used to decide when and where a pass is relevant (e.g. to
+ *     show it on the lock screen) between PKPass and Google Wallet passes
+ * @class
+ */
+class Relevance {
+  // The most locations and beacons a PKPass can have
+  pkpassLimits = { locations: 10, beacons: 10 };
+
+  /**
+   * Gets the relevance data from a PKPass
+   * @param {Object} json - The PKPass JSON
+   * @returns {Object} The locations, beacons, maximum distance, relevant date
+   *     and expiration date
+   */
+  fromPkPass(json) {
+    return {
+      locations: (json.locations || []).map(location => ({
+        latitude: Number(location.latitude),
+        longitude: Number(location.longitude),
+        altitude: location.altitude !== undefined ? Number(location.altitude) : undefined,
+        relevantText: location.relevantText,
+      })),
+      beacons: (json.beacons || []).map(beacon => ({
+        proximityUUID: beacon.proximityUUID,
+        major: beacon.major,
+        minor: beacon.minor,
+        relevantText: beacon.relevantText,
+      })),
+      maxDistance: json.maxDistance,
+      relevantDate: json.relevantDate,
+      expirationDate: json.expirationDate,
+    };
+  }
+
+  /**
+   * Gets the relevance data from a Google Wallet pass
+   * @param {Object} obj - The Google Wallet pass object
+   * @param {Object} cls - The Google Wallet pass class
+   * @returns {Object} The locations, start date and expiration date
+   */
+  fromGoogle(obj, cls) {
+    const validTimeInterval = obj.validTimeInterval || {};
+    return {
+      // Locations on the object replace those on the class
+      locations: (obj.locations || cls.locations || []).map(location => ({
+        latitude: Number(location.latitude),
+        longitude: Number(location.longitude),
+      })),
+      validFrom: validTimeInterval.start ? validTimeInterval.start.date : undefined,
+      expirationDate: validTimeInterval.end ? validTimeInterval.end.date : undefined,
+    };
+  }
+
+  /**
+   * Converts relevance data to PKPass JSON properties
+   * @param {Object} relevance - The relevance data, from `fromPkPass` or
+   *     `fromGoogle`
+   * @returns {Object} The PKPass JSON properties
+   */
+  toPkPass(relevance) {
+    const locations = (relevance.locations || []).slice(0, this.pkpassLimits.locations);
+    const beacons = (relevance.beacons || []).slice(0, this.pkpassLimits.beacons);
+    return {
+      locations: locations.length > 0 ? locations : undefined,
+      beacons: beacons.length > 0 ? beacons : undefined,
+      maxDistance: relevance.maxDistance,
+      // Google Wallet passes only have a validity window, and the time the
+      // pass becomes valid is the closest to the time it is relevant
+      relevantDate: pkpassDate(relevance.relevantDate || relevance.validFrom),
+      expirationDate: pkpassDate(relevance.expirationDate),
+    };
+  }
+
+  /**
+   * Converts relevance data to Google Wallet pass object properties
+   * @param {Object} relevance - The relevance data, from `fromPkPass` or
+   *     `fromGoogle`
+   * @returns {Object} The Google Wallet pass object properties
+   */
+  toGoogle(relevance) {
+    const locations = (relevance.locations || []).map(location => ({
+      latitude: location.latitude,
+      longitude: location.longitude,
+    }));
+    return {
+      locations: locations.length > 0 ? locations : undefined,
+      validTimeInterval:
+        relevance.validFrom || relevance.expirationDate
+          ? {
+              start: relevance.validFrom ? { date: relevance.validFrom } : undefined,
+              end: relevance.expirationDate ? { date: relevance.expirationDate } : undefined,
+            }
+          : undefined,
+    };
+  }
+}
+
+/**
+ * Detects links in pass content, and maps links and app links between
+ *     PKPass and Google Wallet passes
+ * @class
+ */
+class Links {
+  /**
+   * Patterns for the links detected in text, with the URI scheme of each and
+   *     the PKPass data detector that finds them
+   * @type {Array}
+   */
+  detectors = [
+    {
+      dataDetectorType: 'PKDataDetectorTypeLink',
+      pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+      uri: text => `mailto:${text}`,
+    },
+    {
+      dataDetectorType: 'PKDataDetectorTypeLink',
+      pattern: /\b(?:https?:\/\/|www\.)[^\s<>"']+[^\s<>"'.,;:!?)]/gi,
+      uri: text => (/^https?:/i.test(text) ? text : `https://${text}`),
+    },
+    {
+      // Phone numbers need a leading + or separators between the digits,
+      // so other numbers (e.g. order numbers) aren't detected
+      dataDetectorType: 'PKDataDetectorTypePhoneNumber',
+      pattern: /(?:\+|\(\d)[\d\s().-]{6,}\d|\b\d{2,4}[\s.-]\d{3,4}[\s.-]\d{3,4}\b/g,
+      uri: text => (text.replace(/\D/g, '').length < 7 ? undefined : `tel:${text.replace(/[^\d+]/g, '')}`),
+    },
+  ];
+
+  /**
+   * Detects links in PKPass fields, which Apple Wallet makes tappable
+   * @param {Array} fields - The PKPass fields
+   * @returns {Array} The links, each with the URI and the field label as
+   *     the description
+   */
+  fromPkPassFields(fields) {
+    const links = [];
+    const add = (uri, description) => {
+      if (uri && !links.some(link => link.uri === uri)) {
+        links.push({ uri, description });
+      }
+    };
+
+    fields.forEach(field => {
+      // Links in attributed values are set explicitly, with their own text
+      const anchors = /<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>(.*?)<\/a>/gi;
+      let anchor;
+      while ((anchor = anchors.exec(field.attributedValue || ''))) {
+        add(unescapeHtml(anchor[1]), unescapeHtml(anchor[2].replace(/<[^>]*>/g, '')) || field.label);
+      }
+
+      // Apple Wallet detects all types of data unless they're set for the field
+      if (typeof field.value !== 'string') {
+        return;
+      }
+      let text = field.value;
+      this.detectors
+        .filter(detector => !field.dataDetectorTypes || field.dataDetectorTypes.indexOf(detector.dataDetectorType) > -1)
+        .forEach(detector => {
+          text = text.replace(detector.pattern, match => {
+            add(detector.uri(match), field.label);
+            // Remove the link, so e.g. the domain in an email address isn't also a web link
+            return ' ';
+          });
+        });
+    });
+    return links;
+  }
+
+  /**
+   * Gets the links from a Google Wallet pass
+   * @param {Object} obj - The Google Wallet pass object
+   * @param {Object} cls - The Google Wallet pass class
+   * @returns {Array} The links, each with the URI and description
+   */
+  fromGoogle(obj, cls) {
+    return flatten([obj, cls].map(item => (item.linksModuleData && item.linksModuleData.uris) || [])).map(uri => ({
+      uri: uri.uri,
+      description:
+        uri.description || (uri.localizedDescription ? uri.localizedDescription.defaultValue.value : undefined),
+    }));
+  }
+
+  /**
+   * Converts links to PKPass back fields, leaving out links that are
+   *     already in the back fields
+   * @param {Array} links - The links
+   * @param {Array} backFields - The PKPass back fields
+   * @returns {Array} The PKPass back fields for the links
+   */
+  toPkPassFields(links, backFields) {
+    const existing = this.fromPkPassFields(backFields).map(link => link.uri);
+    const keys = new Set(backFields.map(field => field.key));
+    return links
+      .filter(link => existing.indexOf(link.uri) === -1)
+      .map(link => {
+        // Keys must be unique, so skip any already used by the back fields
+        let i = 0;
+        while (keys.has(`link${i}`)) {
+          i++;
+        }
+        keys.add(`link${i}`);
+        return {
+          key: `link${i}`,
+          label: link.description,
+          // Show phone numbers and email addresses without their scheme
+          value: link.uri.replace(/^(tel|mailto):/, ''),
+          attributedValue: /^https?:/.test(link.uri)
+            ? `<a href="${escapeHtml(link.uri)}">${escapeHtml(link.description || link.uri)}</a>`
+            : undefined,
+        };
+      });
+  }
+
+  /**
+   * Converts links to a Google Wallet LinksModuleData
+   * @param {Array} links - The links
+   * @returns {Object} The LinksModuleData, or undefined if there are no links
+   */
+  toGoogle(links) {
+    if (links && links.length > 0) {
+      return {
+        uris: links.map((link, i) => ({ id: `link${i}`, uri: link.uri, description: link.description })),
+      };
+    }
+  }
+
+  /**
+   * Gets the app links from a PKPass
+   * @param {Object} json - The PKPass JSON
+   * @param {Object} appLinks - Map of App Store IDs to the Android app URIs
+   *     of the same apps
+   * @returns {Object} The App Store IDs, iOS app launch URL and Android app URI
+   */
+  appLinksFromPkPass(json, appLinks = {}) {
+    const appStoreIds = json.associatedStoreIdentifiers || [];
+    const appStoreId = appStoreIds.find(id => appLinks[id]);
+    return {
+      appStoreIds,
+      appLaunchUrl: json.appLaunchURL,
+      androidAppUri: appStoreId !== undefined ? appLinks[appStoreId] : undefined,
+    };
+  }
+
+  /**
+   * Gets the app links from a Google Wallet pass
+   * @param {Object} obj - The Google Wallet pass object
+   * @param {Object} cls - The Google Wallet pass class
+   * @param {Object} appLinks - Map of App Store IDs to the Android app URIs
+   *     of the same apps
+   * @returns {Object} The App Store IDs, iOS app launch URL and Android app URI
+   */
+  appLinksFromGoogle(obj, cls, appLinks = {}) {
+    const appLinkData = obj.appLinkData || cls.appLinkData || {};
+    const targetUri = info =>
+      info && info.appTarget && info.appTarget.targetUri ? info.appTarget.targetUri.uri : undefined;
+    const androidAppUri = targetUri(appLinkData.androidAppLinkInfo);
+    return {
+      appStoreIds: Object.keys(appLinks)
+        .filter(id => androidAppUri && appLinks[id] === androidAppUri)
+        .map(Number),
+      appLaunchUrl: targetUri(appLinkData.iosAppLinkInfo),
+      androidAppUri,
+    };
+  }
+
+  /**
+   * Converts app links to PKPass JSON properties
+   * @param {Object} pass - The pass with app links
+   * @returns {Object} The PKPass JSON properties
+   */
+  appLinksToPkPass(pass) {
+    const appStoreIds = pass.appStoreIds || [];
+    return {
+      associatedStoreIdentifiers: appStoreIds.length > 0 ? appStoreIds : undefined,
+      // Apple Wallet only launches apps that are associated with the pass
+      appLaunchURL: appStoreIds.length > 0 ? pass.appLaunchUrl : undefined,
+    };
+  }
+
+  /**
+   * Converts app links to a Google Wallet AppLinkData
+   * @param {Object} pass - The pass with app links
+   * @returns {Object} The AppLinkData, or undefined if there are no app links
+   */
+  appLinksToGoogle(pass) {
+    const appLinkInfo = uri => (uri ? { appTarget: { targetUri: { uri } } } : undefined);
+    if (pass.androidAppUri || pass.appLaunchUrl) {
+      return {
+        androidAppLinkInfo: appLinkInfo(pass.androidAppUri),
+        iosAppLinkInfo: appLinkInfo(pass.appLaunchUrl),
+      };
+    }
+  }
+}
+
+/**
+ * Escapes text for HTML, such as PKPass attributed values
+ * @param {string} text - The text
+ * @returns {string} The escaped HTML
+ */
+function escapeHtml(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return text.replace(/[&<>"']/g, c => entities[c]);
+}
+
+/**
+ * Unescapes the HTML entities in text, such as PKPass attributed values
+ * @param {string} html - The HTML
+ * @returns {string} The unescaped text
+ */
+function unescapeHtml(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return html.replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, (entity, decimal, hex, name) => {
+    if (decimal || hex) {
+      return String.fromCodePoint(parseInt(decimal || hex, decimal ? 10 : 16));
+    }
+    return entities[name.toLowerCase()] || entity;
+  });
+}
+
+/**
+ * Converts a date/time to a PKPass date, which requires a UTC offset
+ * @param {string} value - The ISO 8601 date/time
+ * @returns {string} The W3C date/time
+ */
+function pkpassDate(value) {
+  return dates.toPkPass(dates.parse(value)) || value;
+}
+
+/**
+ * Generates a TOTP value (RFC 6238) with HMAC-SHA1
+ * @param {string} key - The hex encoded secret key
+ * @param {number} counter - The number of time steps since the epoch
+ * @param {number} length - The number of digits in the value
+ * @returns {string} The TOTP value
+ */
+function totpValue(key, counter, length) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', Buffer.from(key, 'hex')).update(counterBuffer).digest();
+
+  // Dynamic truncation, see RFC 4226 section 5.3
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(code % 10 ** length).padStart(length, '0');
+}
+
+/**
+ * Parser and serializer for the Apple .strings files holding PKPass
+ *     translations
  * @class
  */
 class Lproj {
   suffix = '.lproj/pass.strings';
 
-  parse(s) {
-    const parts = stripComments(s)
-      .split('";')
-      .map(line => {
-        return line
-          .slice(line.indexOf('"') + 1)
-          .replace(/\n/, '')
-          .split('" = "');
-      })
-      .filter(line => line.length > 1);
-    return Object.fromEntries(parts);
+  // Single character escapes, as written after a backslash
+  escapes = { a: '\x07', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+
+  /**
+   * Decodes the bytes of a .strings file, which may be UTF-8 or UTF-16 with
+   *     or without a byte order mark
+   * @param {Buffer|string} data The file contents
+   * @returns {string} The decoded text
+   */
+  decode(data) {
+    if (typeof data === 'string') {
+      return data.replace(/^\uFEFF/, '');
+    }
+
+    if (data[0] === 0xff && data[1] === 0xfe) {
+      return data.toString('utf16le', 2);
+    }
+    if (data[0] === 0xfe && data[1] === 0xff) {
+      return Buffer.from(data.subarray(2)).swap16().toString('utf16le');
+    }
+    if (data[0] === 0xef && data[1] === 0xbb && data[2] === 0xbf) {
+      return data.toString('utf8', 3);
+    }
+
+    // Without a BOM, UTF-16 text is recognizable by the zero high bytes of its
+    // ASCII characters (quotes, spaces, etc)
+    if (data.length >= 2 && data.length % 2 === 0) {
+      if (data[0] !== 0 && data[1] === 0) {
+        return data.toString('utf16le');
+      }
+      if (data[0] === 0 && data[1] !== 0) {
+        return Buffer.from(data).swap16().toString('utf16le');
+      }
+    }
+
+    return data.toString('utf8');
   }
 
+  /**
+   * Parses a .strings file
+   * @param {Buffer|string} data The file contents
+   * @returns {Object} The translations as a map of { key: value }
+   */
+  parse(data) {
+    const s = this.decode(data);
+    const strings = {};
+    let i = 0;
+
+    const fail = message => {
+      const line = s.slice(0, i).split('\n').length;
+      throw `Could not parse .strings file, ${message} on line ${line}`;
+    };
+
+    // Skips whitespace and comments
+    const skip = () => {
+      while (i < s.length) {
+        if (/\s/.test(s[i])) {
+          i++;
+        } else if (s.startsWith('//', i)) {
+          const end = s.indexOf('\n', i);
+          i = end === -1 ? s.length : end + 1;
+        } else if (s.startsWith('/*', i)) {
+          const end = s.indexOf('*/', i + 2);
+          if (end === -1) {
+            fail('unterminated comment');
+          }
+          i = end + 2;
+        } else {
+          break;
+        }
+      }
+    };
+
+    // Reads a quoted or unquoted string
+    const token = () => {
+      if (s[i] !== '"') {
+        const match = /^[\w.$:/+-]+/.exec(s.slice(i));
+        if (!match) {
+          fail(`unexpected character '${s[i]}'`);
+        }
+        i += match[0].length;
+        return match[0];
+      }
+
+      let value = '';
+      i++;
+      while (i < s.length && s[i] !== '"') {
+        if (s[i] !== '\\') {
+          value += s[i++];
+          continue;
+        }
+
+        const c = s[i + 1];
+        if (c === undefined) {
+          break;
+        } else if (this.escapes[c] !== undefined) {
+          value += this.escapes[c];
+          i += 2;
+        } else if (c === 'U' || c === 'u') {
+          const hex = /^[0-9a-fA-F]{1,4}/.exec(s.slice(i + 2, i + 6));
+          if (!hex) {
+            fail('invalid unicode escape');
+          }
+          value += String.fromCharCode(parseInt(hex[0], 16));
+          i += 2 + hex[0].length;
+        } else if (/[0-7]/.test(c)) {
+          const octal = /^[0-7]{1,3}/.exec(s.slice(i + 1, i + 4))[0];
+          value += String.fromCharCode(parseInt(octal, 8));
+          i += 1 + octal.length;
+        } else {
+          // Any other escaped character (including quotes, backslashes and
+          // newlines) stands for itself
+          value += c;
+          i += 2;
+        }
+      }
+
+      if (s[i] !== '"') {
+        fail('unterminated string');
+      }
+      i++;
+      return value;
+    };
+
+    skip();
+    while (i < s.length) {
+      const key = token();
+      skip();
+
+      // A key on its own is its own value
+      let value = key;
+      if (s[i] === '=') {
+        i++;
+        skip();
+        value = token();
+        skip();
+      }
+
+      if (s[i] !== ';') {
+        fail("expected ';'");
+      }
+      i++;
+
+      strings[key] = value;
+      skip();
+    }
+
+    return strings;
+  }
+
+  /**
+   * Serializes translations as a .strings file
+   * @param {Object} obj The translations as a map of { key: value }
+   * @returns {string} The .strings file contents
+   */
   export(obj) {
-    return JSON.stringify(obj).replace(/":"/g, '" = "').replace(/",/g, '";\n').slice(1, -1) + ';';
+    const reverse = Object.fromEntries(Object.entries(this.escapes).map(e => [e[1], e[0]]));
+    const quote = value =>
+      '"' +
+      String(value).replace(/[\\"\x00-\x1f\x7f]/g, c => {
+        if (c === '\\' || c === '"') {
+          return '\\' + c;
+        }
+        if (reverse[c]) {
+          return '\\' + reverse[c];
+        }
+        return '\\U' + c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0');
+      }) +
+      '"';
+
+    return Object.entries(obj)
+      .map(([key, value]) => `${quote(key)} = ${quote(value)};\n`)
+      .join('');
+  }
+}
+
+/**
+ * Utility for .pkpasses archives, which bundle several PKPass files
+ * @class
+ */
+class PkPasses {
+  mimeType = 'application/vnd.apple.pkpasses';
+
+  /**
+   * Bundles PKPass archives into a .pkpasses archive
+   * @param {Array} pkpassBuffers Binary string buffers of the PKPass archives
+   * @returns {Buffer} Binary string buffer of the .pkpasses archive
+   */
+  bundle(pkpassBuffers) {
+    const zip = new AdmZip();
+    pkpassBuffers.forEach((buffer, i) => zip.addFile(`pass${i + 1}.pkpass`, buffer));
+    return zip.toBuffer();
+  }
+
+  /**
+   * Checks if an archive is a .pkpasses bundle rather than a single PKPass
+   * @param {Buffer} buffer Binary string buffer of the archive
+   * @returns {boolean} True if the archive is a .pkpasses bundle
+   */
+  isBundle(buffer) {
+    return new AdmZip(buffer).getEntry('pass.json') === null;
+  }
+
+  /**
+   * Gets the PKPass archives from a .pkpasses bundle, or a single PKPass
+   * @param {Buffer} buffer Binary string buffer of the archive
+   * @returns {Array} Binary string buffers of the PKPass archives
+   */
+  extract(buffer) {
+    if (!this.isBundle(buffer)) {
+      return [buffer];
+    }
+    return new AdmZip(buffer)
+      .getEntries()
+      .filter(entry => entry.entryName.endsWith('.pkpass'))
+      .map(entry => entry.getData());
   }
 }
 
 const barcodes = new Barcodes();
+const relevance = new Relevance();
+const links = new Links();
 const lproj = new Lproj();
+const pkpasses = new PkPasses();
 
-module.exports = { barcodes, lproj, flatten };
+module.exports = { barcodes, relevance, links, lproj, pkpasses, flatten };
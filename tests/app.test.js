@@ -0,0 +1,420 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const AdmZip = require('adm-zip');
+const sharp = require('sharp');
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const os = require('os');
+const path = require('path');
+const globSync = require('glob').globSync;
+const FakeWalletApi = require('../wallet/fake.js');
+const { pkpasses } = require('../pass/utils.js');
+
+const fixtures = path.resolve(__dirname, '../pass/tests/fixtures');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const credentials = {
+  client_email: 'converter@example.iam.gserviceaccount.com',
+  private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+};
+
+// Push notifications are recorded instead of sent
+const mockPush = jest.fn(async () => ({ sent: [], failed: [] }));
+jest.mock('apn', () => ({
+  Provider: jest.fn(() => ({ send: mockPush, shutdown: () => {} })),
+  Notification: jest.fn(),
+}));
+
+// Wallet API requests are sent to the fake API without OAuth tokens
+jest.mock('google-auth-library', () => ({
+  GoogleAuth: jest.fn(() => ({ getRequestHeaders: async () => ({}) })),
+}));
+
+let api;
+let apiUrl;
+let converter;
+let convertPassFile;
+let convertPassesLocal;
+let database;
+let baseUrl;
+
+/**
+ * Start a converter with the test config
+ * @param {Object} options Config to use instead of the test config
+ * @param {boolean} isolated If the converter is loaded separately from the
+ *     other converters, so it has its own config and database
+ * @returns {Object} The converter's app exports, `database` and `url`, and a
+ *     function to `close` it
+ */
+async function startConverter(options = {}, isolated = false) {
+  // The config is loaded when first used, so is written before requiring the app
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pass-converter-'));
+  const credentialsPath = path.join(directory, 'credentials.json');
+  fs.writeFileSync(credentialsPath, JSON.stringify(credentials));
+  process.env.PASS_CONVERTER_CONFIG_PATH = path.join(directory, 'config.json');
+  fs.writeFileSync(
+    process.env.PASS_CONVERTER_CONFIG_PATH,
+    JSON.stringify({
+      googleIssuerId: '1234',
+      googleServiceAccountJsonPath: credentialsPath,
+      authHeader: 'x-auth',
+      pkPassPassTypeId: 'pass.com.example',
+      hints: {},
+      imageStore: { type: 'local', directory: path.join(directory, 'images') },
+      walletApi: { url: apiUrl, retries: 0 },
+      googleCallbackKeysUrl: api.keysUrl,
+      database: { type: 'sqljs', synchronize: true },
+      ...options,
+    }),
+  );
+
+  let exports;
+  const load = () => (exports = { ...require('../app.js'), database: require('../database.js') });
+  if (isolated) {
+    jest.isolateModules(load);
+  } else {
+    load();
+  }
+  await exports.database.initialize();
+  const server = exports.app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    ...exports,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: async () => {
+      await new Promise(resolve => server.close(resolve));
+      await exports.database.destroy();
+    },
+  };
+}
+
+beforeAll(async () => {
+  api = new FakeWalletApi();
+  apiUrl = await api.listen();
+  converter = await startConverter({ googleJwt: { strategy: 'api' } });
+  ({ convertPassFile, convertPassesLocal, database, url: baseUrl } = converter);
+});
+
+afterAll(async () => {
+  await converter.close();
+  await api.close();
+});
+
+/**
+ * Send a pass file to the converter
+ * @param {string} method The HTTP method
+ * @param {Object} googlePass The Google Wallet pass to send
+ * @returns {Response} The converter's response
+ */
+async function sendPass(method, googlePass) {
+  const form = new FormData();
+  form.append('pass', new Blob([JSON.stringify(googlePass)]), 'pass.json');
+  return fetch(`${baseUrl}/convert/`, { method, body: form, headers: { 'x-auth': '1' } });
+}
+
+/**
+ * Send a PKPass file to the converter
+ * @param {string} method The HTTP method
+ * @param {string} name The PKPass fixture's file name
+ * @param {string} query The query string, if any
+ * @param {string} url The converter's URL
+ * @returns {Response} The converter's response
+ */
+async function sendPkPass(method, name, query = '', url = baseUrl) {
+  const form = new FormData();
+  form.append('pass', new Blob([fs.readFileSync(path.join(fixtures, name))]), name);
+  return fetch(`${url}/convert/${query}`, { method, body: form, headers: { 'x-auth': '1' }, redirect: 'manual' });
+}
+
+/**
+ * Load the flight pass fixture, with IDs so it can be stored and updated
+ * @returns {Object} The Google Wallet pass
+ */
+function flightPass() {
+  const googlePass = JSON.parse(fs.readFileSync(path.join(fixtures, 'flight.json')));
+  googlePass.flightClasses[0].id = '1234.flight-class';
+  googlePass.flightObjects[0].id = '1234.flight';
+  googlePass.flightObjects[0].classId = '1234.flight-class';
+  return googlePass;
+}
+
+/**
+ * Store a pass, as when it's first converted to a PKPass
+ * @param {Object} googlePass The Google Wallet pass
+ */
+async function storePass(googlePass) {
+  const Pass = require('../pass');
+  const pass = Pass.fromGoogle(googlePass)[0];
+  await database.getRepository('passes').save({
+    serialNumber: pass.id,
+    authenticationToken: 'token',
+    passTypeId: 'pass.com.example',
+    googlePrefix: pass.googlePrefix,
+    googlePayload: JSON.stringify(googlePass),
+    snapshot: JSON.stringify(pass.toSnapshot()),
+    updatedAt: Date.now(),
+  });
+}
+
+/**
+ * Save an image in the image store, so it's served by the converter
+ * @returns {string} The image URL
+ */
+async function localImage() {
+  const images = require('../images.js');
+  const image = await sharp({ create: { width: 10, height: 10, channels: 3, background: 'red' } })
+    .png()
+    .toBuffer();
+  await images.save(images.name(image), image);
+  return `${baseUrl}/image/${images.name(image)}`;
+}
+
+/**
+ * Get the payload of an Add to Google Wallet JWT, checking it's signed with
+ *     the service account's key
+ * @param {string} token The JWT, or the Add to Google Wallet link
+ * @returns {Object} The Google Wallet pass classes and objects
+ */
+function jwtPayload(token) {
+  return jwt.verify(token.replace('https://pay.google.com/gp/v/save/', ''), publicKey).payload;
+}
+
+test('a PKPass file is saved via the Wallet API and redirected to Google Wallet', async () => {
+  const response = await sendPkPass('POST', 'generic.pkpass');
+  expect(response.status).toBe(302);
+
+  // The class and object are saved via the API, so only the object ID is in the JWT
+  const payload = jwtPayload(response.headers.get('location'));
+  expect(payload.genericClasses).toBeUndefined();
+  const [{ id }] = payload.genericObjects;
+  expect(payload.genericObjects).toEqual([{ id }]);
+  const obj = api.get('genericObject', id);
+  expect(obj).toMatchObject({ id, classId: expect.stringMatching(/^1234\./) });
+  expect(api.get('genericClass', obj.classId)).toMatchObject({ id: obj.classId });
+
+  // The pass is stored, so updates to it are compared with it
+  const record = await database.getRepository('passes').findOneBy({ serialNumber: id.replace('1234.', '') });
+  expect(JSON.parse(record.googlePayload).genericObjects[0].id).toBe(id);
+  expect(JSON.parse(record.snapshot).googlePrefix).toBe('generic');
+});
+
+test('a PKPass file is converted to a JWT or an Add to Google Wallet button', async () => {
+  const response = await sendPkPass('POST', 'offer.pkpass', '?response=jwt');
+  expect(response.headers.get('content-type')).toMatch(/^application\/json/);
+  const { jwt: token } = await response.json();
+  // The main converter uses the api strategy, so the class and object are saved via the API
+  expect(jwtPayload(token).offerClasses).toBeUndefined();
+  const [{ id }] = jwtPayload(token).offerObjects;
+  expect(api.get('offerObject', id)).toBeDefined();
+
+  const button = await sendPkPass('POST', 'offer.pkpass', '?response=button');
+  expect(button.headers.get('content-type')).toMatch(/^text\/html/);
+  const html = await button.text();
+  const [, href] = html.match(
+    /^<a class="add-to-google-wallet" href="([^"]+)" target="_blank" rel="noopener">Add to Google Wallet<\/a>$/,
+  );
+  expect(href).toMatch(/^https:\/\/pay\.google\.com\/gp\/v\/save\//);
+  expect(jwtPayload(href).offerObjects).toEqual([{ id }]);
+});
+
+for (const { title, googleJwt, inline } of [
+  { title: 'with the inline strategy is saved by the JWT', googleJwt: { strategy: 'inline' }, inline: true },
+  {
+    title: 'with the auto strategy is saved by the JWT when it is short enough',
+    googleJwt: { strategy: 'auto', maxLength: 100000 },
+    inline: true,
+  },
+  {
+    title: 'with the auto strategy has its class saved via the API when the JWT is too long',
+    googleJwt: { strategy: 'auto', maxLength: 500 },
+    inline: false,
+  },
+]) {
+  test(`a PKPass file converted ${title}`, async () => {
+    const isolated = await startConverter({ googleJwt: { ...googleJwt, response: 'jwt' } }, true);
+    try {
+      const requests = api.requests.length;
+      const response = await sendPkPass('POST', 'transit.pkpass', '', isolated.url);
+      const payload = jwtPayload((await response.json()).jwt);
+      if (inline) {
+        // The whole pass is in the JWT, so nothing is saved via the API
+        expect(payload.transitClasses).toEqual([expect.objectContaining({ issuerName: expect.any(String) })]);
+        expect(payload.transitObjects[0]).toMatchObject({ classId: payload.transitClasses[0].id });
+        expect(api.requests).toHaveLength(requests);
+      } else {
+        // The JWT is too long with the class, which is saved via the API instead
+        expect(payload.transitClasses).toBeUndefined();
+        expect(api.requests.slice(requests).map(request => request.resource)).toContain('transitClass');
+      }
+    } finally {
+      await isolated.close();
+    }
+  });
+}
+
+test('a pass converted to a PKPass again is only stored once', async () => {
+  const googlePass = flightPass();
+  googlePass.flightObjects[0].id = '1234.flight-converted';
+  googlePass.flightClasses[0].flightHeader.carrier.airlineLogo.sourceUri.uri = await localImage();
+
+  expect((await sendPass('POST', googlePass)).status).toBe(200);
+  expect((await sendPass('POST', googlePass)).status).toBe(200);
+  const Pass = require('../pass');
+  const pass = Pass.fromGoogle(googlePass)[0];
+  expect(await database.getRepository('passes').findBy({ serialNumber: pass.id })).toHaveLength(1);
+});
+
+test('a pass update that fails to save is saved when retried', async () => {
+  const googlePass = flightPass();
+  await storePass(googlePass);
+  googlePass.flightClasses[0].origin.gate = 'B12';
+
+  api.fail(500);
+  expect((await sendPass('PATCH', googlePass)).status).toBe(502);
+  expect(api.get('flightObject', '1234.flight')).toBeUndefined();
+
+  expect((await sendPass('PATCH', googlePass)).status).toBe(200);
+  expect(api.get('flightObject', '1234.flight')).toMatchObject({ id: '1234.flight' });
+
+  // The update is now stored, so sending it again makes no API calls
+  const requests = api.requests.length;
+  expect((await sendPass('PATCH', googlePass)).status).toBe(200);
+  expect(api.requests).toHaveLength(requests);
+});
+
+test('a PKPass update that is sent again makes no API calls and notifies no devices', async () => {
+  const serialNumber = 'ebb7a65676a1dd6e46e68352a780e066';
+  await database.getRepository('registrations').save({
+    uuid: `device-${serialNumber}`,
+    deviceId: 'device',
+    pushToken: 'token',
+    serialNumber,
+    passTypeId: 'pass.com.example',
+  });
+
+  expect((await sendPkPass('PATCH', 'event.pkpass')).status).toBe(200);
+  expect(api.get('eventTicketObject', `1234.${serialNumber}`)).toBeDefined();
+  await new Promise(resolve => setTimeout(resolve, 10));
+  expect(mockPush).toHaveBeenCalledTimes(1);
+
+  const requests = api.requests.length;
+  expect((await sendPkPass('PATCH', 'event.pkpass')).status).toBe(200);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  expect(api.requests).toHaveLength(requests);
+  expect(mockPush).toHaveBeenCalledTimes(1);
+});
+
+test('an invalid pass update is reported as failed', async () => {
+  const form = new FormData();
+  form.append('pass', new Blob(['{ not json']), 'pass.json');
+  const response = await fetch(`${baseUrl}/convert/`, { method: 'PATCH', body: form, headers: { 'x-auth': '1' } });
+  expect(response.status).toBe(500);
+});
+
+test('a PKPass file is converted to a Google Wallet pass', async () => {
+  const googlePass = await convertPassFile(path.join(fixtures, 'event.pkpass'), () => {});
+  expect(googlePass.eventTicketObjects).toHaveLength(1);
+});
+
+test('a pass file with an unsupported extension fails to convert', async () => {
+  await expect(convertPassFile(path.join(fixtures, 'event.txt'))).rejects.toBe('Unsupported pass file extension .txt');
+});
+
+/**
+ * Create a directory of passes to convert, including one that fails
+ * @returns {string} The directory path
+ */
+function passDirectory() {
+  const input = fs.mkdtempSync(path.join(os.tmpdir(), 'pass-converter-'));
+  const event = fs.readFileSync(path.join(fixtures, 'event.pkpass'));
+  fs.writeFileSync(path.join(input, 'event.pkpass'), event);
+  fs.writeFileSync(path.join(input, 'event.pkpasses'), pkpasses.bundle([event, event]));
+  fs.mkdirSync(path.join(input, 'offers'));
+  fs.copyFileSync(path.join(fixtures, 'offer.pkpass'), path.join(input, 'offers', 'offer.pkpass'));
+  fs.writeFileSync(path.join(input, 'broken.pkpass'), 'not a pass');
+  return input;
+}
+
+/**
+ * Convert a directory or glob of passes, as on the command-line
+ * @param {string} input Path to input directory, or glob matching input passes
+ * @returns {Object} The converted file names in the output directory, the
+ *     printed summary, and the exit code
+ */
+async function convertPasses(input) {
+  const output = fs.mkdtempSync(path.join(os.tmpdir(), 'pass-converter-'));
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  try {
+    await convertPassesLocal(input, output);
+    return {
+      output,
+      files: globSync('**/*', { cwd: output, nodir: true, posix: true }).sort(),
+      summary: log.mock.calls[log.mock.calls.length - 1][0],
+      exitCode: process.exitCode,
+    };
+  } finally {
+    process.exitCode = undefined;
+    jest.restoreAllMocks();
+  }
+}
+
+test('a directory of passes is converted without PKPass outputs overwriting each other', async () => {
+  const { output, files, summary, exitCode } = await convertPasses(passDirectory());
+  expect(files).toEqual(['event.pkpass.json', 'event.pkpasses.json', 'offers/offer.pkpass.json']);
+  expect(JSON.parse(fs.readFileSync(path.join(output, 'event.pkpasses.json'))).eventTicketObjects).toHaveLength(2);
+  expect(summary).toMatch(/^Converted 3 of 4 passes \(1 failed/);
+  expect(exitCode).toBe(1);
+});
+
+test('a glob of passes is converted, mirroring the directory before the wildcard', async () => {
+  const input = passDirectory();
+  const { files, summary } = await convertPasses(path.join(input, '**', '*.pkpass'));
+  expect(files).toEqual(['event.pkpass.json', 'offers/offer.pkpass.json']);
+  expect(summary).toMatch(/^Converted 2 of 3 passes \(1 failed/);
+});
+
+test('a redelivered or out of order callback is ignored', async () => {
+  const send = body =>
+    fetch(`${baseUrl}/callbacks/google`, {
+      method: 'POST',
+      body: JSON.stringify(body),
+      headers: { 'Content-Type': 'application/json' },
+    });
+  const status = async () =>
+    (await fetch(`${baseUrl}/callbacks/status/1234.saved`, { headers: { 'x-auth': '1' } })).json();
+  const wait = () => new Promise(resolve => setTimeout(resolve, 10));
+  const message = { classId: '1234.class', objectId: '1234.saved' };
+  const save = api.callback('1234', { ...message, eventType: 'save' });
+  const del = api.callback('1234', { ...message, eventType: 'del', expTimeMillis: Date.now() + 120 * 1000 });
+
+  expect((await send(save)).status).toBe(200);
+  const saved = await status();
+  await wait();
+  expect((await send(save)).status).toBe(200);
+  expect(await status()).toEqual(saved);
+
+  expect((await send(del)).status).toBe(200);
+  const deleted = await status();
+  expect(deleted.inWallet).toBe(false);
+  await wait();
+  expect((await send(save)).status).toBe(200);
+  expect((await send(del)).status).toBe(200);
+  expect(await status()).toEqual(deleted);
+});
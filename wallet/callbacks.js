@@ -0,0 +1,161 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * URL of Google's root signing keys for callback messages
+ * @type {string}
+ */
+const defaultKeysUrl = 'https://pay.google.com/gp/m/issuer/keys';
+
+/**
+ * Protocol callback messages are signed with
+ * @type {string}
+ */
+const protocolVersion = 'ECv2SigningOnly';
+
+/**
+ * Sender ID of callback messages, which is part of the signed data
+ * @type {string}
+ */
+const senderId = 'GooglePayPasses';
+
+/**
+ * Milliseconds root signing keys are cached for
+ * @type {number}
+ */
+const keysCacheTime = 60 * 60 * 1000;
+
+/**
+ * Verifier for the callback messages Google Wallet sends when users save
+ *     or delete passes, which are signed with the ECv2SigningOnly protocol:
+ *     Google's root keys sign an intermediate key, which signs the message.
+ *     See: https://developers.google.com/wallet/generic/use-cases/use-callbacks-for-saves-and-deletions
+ * @class
+ */
+class CallbackVerifier {
+  /**
+   * @param {Object} options Verifier config, with the `issuerId` messages are
+   *     sent to, and the optional `keysUrl` of Google's root signing keys
+   */
+  constructor(options = {}) {
+    this.issuerId = options.issuerId;
+    this.keysUrl = options.keysUrl || defaultKeysUrl;
+    this.keys = undefined;
+    this.keysFetchedAt = 0;
+  }
+
+  /**
+   * Verify a callback message's signatures
+   * @param {Object} body The callback request body, with the `signedMessage`,
+   *     its `signature`, and the `intermediateSigningKey`
+   * @returns {Object} The message, with the `classId`, `objectId`,
+   *     `eventType` ('save' or 'del'), `expTimeMillis` and `nonce`
+   */
+  async verify(body) {
+    if (!body || body.protocolVersion !== protocolVersion) {
+      throw `Unsupported callback protocol ${body && body.protocolVersion}`;
+    }
+    const intermediateKey = body.intermediateSigningKey || {};
+    if (typeof intermediateKey.signedKey !== 'string' || typeof body.signedMessage !== 'string') {
+      throw 'Callback is missing its signed key or message';
+    }
+
+    // The intermediate key must be signed by one of Google's root keys
+    const signedKeyData = signedData('Google', protocolVersion, intermediateKey.signedKey);
+    const rootKeys = await this.rootKeys();
+    const keySigned = (intermediateKey.signatures || []).some(signature =>
+      rootKeys.some(key => verifySignature(key.keyValue, signedKeyData, signature)),
+    );
+    if (!keySigned) {
+      throw 'Callback intermediate signing key is not signed by Google';
+    }
+    const signedKey = JSON.parse(intermediateKey.signedKey);
+    if (Number(signedKey.keyExpiration) <= Date.now()) {
+      throw 'Callback intermediate signing key has expired';
+    }
+
+    // The message must be signed by the intermediate key, for this issuer
+    const messageData = signedData(senderId, this.issuerId, protocolVersion, body.signedMessage);
+    if (!verifySignature(signedKey.keyValue, messageData, body.signature)) {
+      throw 'Callback message signature is invalid';
+    }
+    const message = JSON.parse(body.signedMessage);
+    if (Number(message.expTimeMillis) <= Date.now()) {
+      throw 'Callback message has expired';
+    }
+    return message;
+  }
+
+  /**
+   * Get Google's root signing keys, which are cached for an hour
+   * @returns {Array} The unexpired keys for the callback protocol
+   */
+  async rootKeys() {
+    if (this.keys === undefined || Date.now() - this.keysFetchedAt > keysCacheTime) {
+      let response;
+      try {
+        response = await axios.get(this.keysUrl);
+      } catch (error) {
+        throw `Could not retrieve Google Wallet callback signing keys: ${error.message}`;
+      }
+      this.keys = response.data.keys || [];
+      this.keysFetchedAt = Date.now();
+    }
+    return this.keys.filter(
+      key =>
+        key.protocolVersion === protocolVersion &&
+        (key.keyExpiration === undefined || Number(key.keyExpiration) > Date.now()),
+    );
+  }
+}
+
+/**
+ * Create the data signed by a callback signature, where each part is
+ *     prefixed with its length as 4 little-endian bytes
+ * @param {...string} parts The parts of the signed data
+ * @returns {Buffer} The signed data
+ */
+function signedData(...parts) {
+  return Buffer.concat(
+    parts.map(part => {
+      const bytes = Buffer.from(String(part), 'utf8');
+      const length = Buffer.alloc(4);
+      length.writeUInt32LE(bytes.length);
+      return Buffer.concat([length, bytes]);
+    }),
+  );
+}
+
+/**
+ * Verify an ECDSA SHA-256 signature
+ * @param {string} keyValue The base64 encoded public key, in X.509 format
+ * @param {Buffer} data The signed data
+ * @param {string} signature The base64 encoded signature, in DER format
+ * @returns {boolean} If the signature is valid
+ */
+function verifySignature(keyValue, data, signature) {
+  try {
+    const key = crypto.createPublicKey({ key: Buffer.from(keyValue, 'base64'), format: 'der', type: 'spki' });
+    return crypto.verify('sha256', data, key, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { CallbackVerifier, signedData };
@@ -0,0 +1,232 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { signedData } = require('./callbacks.js');
+
+/**
+ * Google API error statuses for HTTP status codes
+ * @type {Object}
+ */
+const reasons = {
+  400: 'INVALID_ARGUMENT',
+  404: 'NOT_FOUND',
+  409: 'ALREADY_EXISTS',
+  429: 'RESOURCE_EXHAUSTED',
+  500: 'INTERNAL',
+  503: 'UNAVAILABLE',
+};
+
+/**
+ * In-process fake of the Google Wallet API, which stores classes and objects
+ *     in memory, so passes can be saved and retrieved without network access
+ *     (e.g. in tests). Failures can be queued to test error handling. It also
+ *     serves root signing keys, and signs callback messages with them.
+ * @class
+ */
+class FakeWalletApi {
+  constructor() {
+    this.resources = {};
+    this.requests = [];
+    this.failures = [];
+    this.rootKey = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    this.intermediateKey = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Start the fake API on a free local port
+   * @returns {string} The API URL, for the `url` Wallet API client option
+   */
+  async listen() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${this.server.address().port}/walletobjects/v1`;
+  }
+
+  /**
+   * Get the URL of the root signing keys
+   * @returns {string} The URL, for the `keysUrl` callback verifier option
+   */
+  get keysUrl() {
+    return `http://127.0.0.1:${this.server.address().port}/gp/m/issuer/keys`;
+  }
+
+  /**
+   * Create a signed callback message, as sent when a user saves or deletes
+   *     a pass
+   * @param {string} issuerId The issuer ID the message is sent to
+   * @param {Object} message The message, with the `classId`, `objectId` and
+   *     `eventType` ('save' or 'del')
+   * @returns {Object} The callback request body
+   */
+  callback(issuerId, message) {
+    const sign = (data, key) => crypto.sign('sha256', data, key).toString('base64');
+    const signedKey = JSON.stringify({
+      keyValue: publicKeyValue(this.intermediateKey),
+      keyExpiration: String(Date.now() + 60 * 60 * 1000),
+    });
+    const signedMessage = JSON.stringify({
+      expTimeMillis: Date.now() + 60 * 1000,
+      nonce: crypto.randomUUID(),
+      ...message,
+    });
+    return {
+      signature: sign(
+        signedData('GooglePayPasses', issuerId, 'ECv2SigningOnly', signedMessage),
+        this.intermediateKey.privateKey,
+      ),
+      intermediateSigningKey: {
+        signedKey,
+        signatures: [sign(signedData('Google', 'ECv2SigningOnly', signedKey), this.rootKey.privateKey)],
+      },
+      protocolVersion: 'ECv2SigningOnly',
+      signedMessage,
+    };
+  }
+
+  /**
+   * Stop the fake API
+   */
+  async close() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Fail the next requests with an error
+   * @param {number} status The HTTP status to respond with
+   * @param {number} times The number of requests to fail
+   * @param {number} retryAfter Seconds for the Retry-After header, if any
+   */
+  fail(status, times = 1, retryAfter) {
+    for (let i = 0; i < times; i++) {
+      this.failures.push({ status, retryAfter });
+    }
+  }
+
+  /**
+   * Get a stored class or object
+   * @param {string} resource The resource type (e.g. 'eventTicketObject')
+   * @param {string} id The class or object ID
+   * @returns {Object} The class or object, or undefined if it isn't stored
+   */
+  get(resource, id) {
+    return (this.resources[resource] || {})[id];
+  }
+
+  /**
+   * Handle an API request
+   * @param {IncomingMessage} req The request
+   * @param {ServerResponse} res The response
+   */
+  async handle(req, res) {
+    let text = '';
+    for await (const chunk of req) {
+      text += chunk;
+    }
+    if (req.url === '/gp/m/issuer/keys') {
+      this.send(res, 200, { keys: [{ keyValue: publicKeyValue(this.rootKey), protocolVersion: 'ECv2SigningOnly' }] });
+      return;
+    }
+    const [resource, id, action] = req.url
+      .replace(/^\/walletobjects\/v1\//, '')
+      .split('/')
+      .map(part => decodeURIComponent(part));
+    this.requests.push({ method: req.method, resource, id, action });
+
+    const failure = this.failures.shift();
+    if (failure) {
+      if (failure.retryAfter !== undefined) {
+        res.setHeader('Retry-After', String(failure.retryAfter));
+      }
+      this.error(res, failure.status, 'Injected failure');
+      return;
+    }
+
+    let data;
+    try {
+      data = text ? JSON.parse(text) : undefined;
+    } catch (error) {
+      this.error(res, 400, 'Invalid JSON payload');
+      return;
+    }
+    if (!/^[a-zA-Z]+(Class|Object)$/.test(resource || '')) {
+      this.error(res, 404, `Unknown resource ${resource}`);
+      return;
+    }
+    const stored = (this.resources[resource] ||= {});
+
+    if (req.method === 'POST' && !id) {
+      if (!data || !data.id) {
+        this.error(res, 400, 'Resource must have an id');
+      } else if (stored[data.id]) {
+        this.error(res, 409, `Resource ${data.id} already exists`);
+      } else {
+        stored[data.id] = data;
+        this.send(res, 200, data);
+      }
+    } else if (!id || !stored[id]) {
+      this.error(res, 404, `Resource ${id} not found`);
+    } else if (action === 'addMessage' && req.method === 'POST') {
+      stored[id] = { ...stored[id], messages: [...(stored[id].messages || []), data.message] };
+      this.send(res, 200, { resource: stored[id] });
+    } else if (action !== undefined) {
+      this.error(res, 404, `Unknown method ${action}`);
+    } else if (req.method === 'GET') {
+      this.send(res, 200, stored[id]);
+    } else if (req.method === 'PATCH') {
+      stored[id] = { ...stored[id], ...data, id };
+      this.send(res, 200, stored[id]);
+    } else if (req.method === 'PUT') {
+      stored[id] = { ...data, id };
+      this.send(res, 200, stored[id]);
+    } else {
+      this.error(res, 405, `Method ${req.method} not allowed`);
+    }
+  }
+
+  /**
+   * Respond with JSON
+   * @param {ServerResponse} res The response
+   * @param {number} status The HTTP status
+   * @param {Object} body The response body
+   */
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Respond with an error in the Google API format
+   * @param {ServerResponse} res The response
+   * @param {number} status The HTTP status
+   * @param {string} message Description of the error
+   */
+  error(res, status, message) {
+    this.send(res, status, { error: { code: status, message, status: reasons[status] } });
+  }
+}
+
+/**
+ * Encode a key pair's public key the way Google's signing keys are given
+ * @param {Object} keyPair The key pair
+ * @returns {string} The base64 encoded public key, in X.509 format
+ */
+function publicKeyValue(keyPair) {
+  return keyPair.publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+module.exports = FakeWalletApi;
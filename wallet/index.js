@@ -0,0 +1,243 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { GoogleAuth } = require('google-auth-library');
+const axios = require('axios');
+const JwtBuilder = require('./jwt.js');
+const { CallbackVerifier } = require('./callbacks.js');
+
+/**
+ * Google Wallet API base URL
+ * @type {string}
+ */
+const defaultUrl = 'https://walletobjects.googleapis.com/walletobjects/v1';
+
+/**
+ * Error returned by the Google Wallet API, or raised when it couldn't be
+ *     reached
+ * @class
+ */
+class WalletApiError extends Error {
+  /**
+   * @param {string} message Description of the error
+   * @param {number} status The HTTP status returned by the API, or undefined
+   *     if the API couldn't be reached
+   * @param {string} reason The API's error status (e.g. 'NOT_FOUND')
+   */
+  constructor(message, status, reason) {
+    super(message);
+    this.name = 'WalletApiError';
+    this.status = status;
+    this.reason = reason;
+  }
+
+  /**
+   * Check if the request may succeed if retried
+   * @returns {boolean} If the error is a rate limit, server or network error
+   */
+  get retryable() {
+    return this.status === undefined || this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * Client for the Google Wallet API, which saves pass classes and objects
+ *     and retries requests that fail because of rate limits or server errors
+ * @class
+ */
+class WalletClient {
+  /**
+   * @param {Object} options Client config, with the service account
+   *     `credentials`, and the optional API `url`, number of `retries` and
+   *     initial `retryDelay` in milliseconds, which doubles for each retry
+   */
+  constructor(options = {}) {
+    this.url = (options.url || defaultUrl).replace(/\/$/, '');
+    this.retries = options.retries !== undefined ? options.retries : 4;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 500;
+    if (options.credentials) {
+      this.auth = new GoogleAuth({
+        credentials: options.credentials,
+        scopes: 'https://www.googleapis.com/auth/wallet_object.issuer',
+      });
+    }
+  }
+
+  /**
+   * Get a pass class
+   * @param {string} googlePrefix The pass type prefix (e.g. 'eventTicket')
+   * @param {string} id The class ID
+   * @returns {Object} The class, or undefined if it doesn't exist
+   */
+  async getClass(googlePrefix, id) {
+    return this.get(`${googlePrefix}Class/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Get a pass object
+   * @param {string} googlePrefix The pass type prefix (e.g. 'eventTicket')
+   * @param {string} id The object ID
+   * @returns {Object} The object, or undefined if it doesn't exist
+   */
+  async getObject(googlePrefix, id) {
+    return this.get(`${googlePrefix}Object/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Insert a pass class, or update it if it already exists
+   * @param {string} googlePrefix The pass type prefix (e.g. 'eventTicket')
+   * @param {Object} cls The class
+   * @returns {Object} The saved class
+   */
+  async upsertClass(googlePrefix, cls) {
+    return this.upsert(`${googlePrefix}Class`, cls);
+  }
+
+  /**
+   * Insert a pass object, or update it if it already exists
+   * @param {string} googlePrefix The pass type prefix (e.g. 'eventTicket')
+   * @param {Object} obj The object
+   * @returns {Object} The saved object
+   */
+  async upsertObject(googlePrefix, obj) {
+    return this.upsert(`${googlePrefix}Object`, obj);
+  }
+
+  /**
+   * Add a message to a pass object, which notifies users who have saved the
+   *     pass if the message type is 'TEXT_AND_NOTIFY'
+   * @param {string} googlePrefix The pass type prefix (e.g. 'eventTicket')
+   * @param {string} id The object ID
+   * @param {Object} message The message, with its `header` and `body`
+   * @returns {Object} The updated object
+   */
+  async addObjectMessage(googlePrefix, id, message) {
+    const response = await this.request('POST', `${googlePrefix}Object/${encodeURIComponent(id)}/addMessage`, {
+      message,
+    });
+    return response.resource;
+  }
+
+  /**
+   * Get a class or object
+   * @param {string} path The resource path, relative to the API URL
+   * @returns {Object} The resource, or undefined if it doesn't exist
+   */
+  async get(path) {
+    try {
+      return await this.request('GET', path);
+    } catch (error) {
+      if (error.status === 404) {
+        return;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Insert a class or object, or patch it if it already exists
+   * @param {string} resource The resource type (e.g. 'eventTicketObject')
+   * @param {Object} data The class or object
+   * @returns {Object} The saved resource
+   */
+  async upsert(resource, data) {
+    const path = `${resource}/${encodeURIComponent(data.id)}`;
+    if ((await this.get(path)) !== undefined) {
+      return this.request('PATCH', path, data);
+    }
+    try {
+      return await this.request('POST', resource, data);
+    } catch (error) {
+      // Created by another request since checking
+      if (error.status === 409) {
+        return this.request('PATCH', path, data);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Make an API request, retrying rate limited, server and network errors
+   *     with exponential backoff
+   * @param {string} method The HTTP method
+   * @param {string} path The resource path, relative to the API URL
+   * @param {Object} data The request body
+   * @returns {Object} The response body
+   */
+  async request(method, path, data) {
+    for (let attempt = 0; ; attempt++) {
+      let retryAfter;
+      try {
+        return await this.send(method, path, data);
+      } catch (error) {
+        if (!(error instanceof WalletApiError) || !error.retryable || attempt >= this.retries) {
+          throw error;
+        }
+        retryAfter = error.retryAfter;
+      }
+
+      // Wait as long as the API asks, or back off exponentially with jitter
+      const delay = retryAfter !== undefined ? retryAfter : this.retryDelay * 2 ** attempt * (1 + Math.random());
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Make a single API request
+   * @param {string} method The HTTP method
+   * @param {string} path The resource path, relative to the API URL
+   * @param {Object} data The request body
+   * @returns {Object} The response body
+   */
+  async send(method, path, data) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.auth) {
+      Object.assign(headers, await this.auth.getRequestHeaders());
+    }
+
+    let response;
+    try {
+      response = await axios.request({
+        url: `${this.url}/${path}`,
+        method,
+        headers,
+        data,
+        // Statuses are handled below, so only network errors are thrown
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      throw new WalletApiError(`Could not reach Google Wallet API: ${error.message}`);
+    }
+
+    const body = response.data && typeof response.data === 'object' ? response.data : {};
+    if (response.status >= 400) {
+      const details = body.error || {};
+      const error = new WalletApiError(
+        `Google Wallet API ${method} ${path} failed (${response.status}): ${details.message || response.statusText}`,
+        response.status,
+        details.status,
+      );
+      const retryAfter = Number(response.headers['retry-after']);
+      if (retryAfter > 0) {
+        error.retryAfter = retryAfter * 1000;
+      }
+      throw error;
+    }
+    return body;
+  }
+}
+
+module.exports = { WalletClient, WalletApiError, JwtBuilder, CallbackVerifier };
@@ -0,0 +1,148 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const jwt = require('jsonwebtoken');
+
+/**
+ * URL that Add to Google Wallet JWTs are appended to
+ * @type {string}
+ */
+const saveUrl = 'https://pay.google.com/gp/v/save/';
+
+/**
+ * Ways to save passes with an Add to Google Wallet JWT: 'inline' includes
+ *     the whole pass in the JWT, 'api' saves the classes and objects via the
+ *     Wallet API and includes only the object IDs, and 'auto' includes as
+ *     much as fits in the JWT's maximum length, saving the rest via the API
+ * @type {Array}
+ */
+const strategies = ['inline', 'api', 'auto'];
+
+/**
+ * Builds signed Add to Google Wallet JWTs for Google Wallet passes
+ * @class
+ */
+class JwtBuilder {
+  /**
+   * @param {Object} options JWT config, with the service account
+   *     `credentials`, the `wallet` API client, and the optional `strategy`
+   *     (see `strategies`), `origins` the JWT can be used on, `maxLength` of
+   *     JWTs for the 'auto' strategy, and seconds the JWT `expiresIn`
+   */
+  constructor(options = {}) {
+    this.credentials = options.credentials;
+    this.wallet = options.wallet;
+    this.strategy = options.strategy || 'auto';
+    this.origins = options.origins || [];
+    this.maxLength = options.maxLength || 1800;
+    this.expiresIn = options.expiresIn;
+    if (strategies.indexOf(this.strategy) === -1) {
+      throw `Unknown JWT strategy ${this.strategy}, must be one of ${strategies.join(', ')}`;
+    }
+  }
+
+  /**
+   * Build the JWT for saving a pass, saving its classes and objects via the
+   *     Wallet API if the strategy requires it
+   * @param {Object} googlePass The JWT payload, which may contain several
+   *     classes and objects
+   * @returns {string} The signed JWT
+   */
+  async build(googlePass) {
+    if (!this.credentials) {
+      throw `Cannot create Google Wallet JWT, googleServiceAccountJsonPath config must be defined`;
+    }
+    const payload = { ...googlePass };
+
+    if (this.strategy === 'inline') {
+      return this.sign(payload);
+    }
+    if (this.strategy === 'auto') {
+      const token = this.sign(payload);
+      if (token.length <= this.maxLength) {
+        return token;
+      }
+      console.log(`Encoded JWT too large (${token.length}) - stripping classes from payload and creating via API`);
+    }
+
+    // Save the classes via API, and strip them from the payload
+    for (const key of Object.keys(payload).filter(key => key.endsWith('Classes'))) {
+      for (const cls of payload[key]) {
+        await this.wallet.upsertClass(key.replace(/Classes$/, ''), cls);
+      }
+      delete payload[key];
+    }
+
+    if (this.strategy === 'auto') {
+      const token = this.sign(payload);
+      if (token.length <= this.maxLength) {
+        return token;
+      }
+      console.log(`Encoded JWT too large (${token.length}) - stripping objects from payload and creating via API`);
+    }
+
+    // Save the objects via API, and strip all but their IDs from the payload
+    for (const key of Object.keys(payload).filter(key => key.endsWith('Objects'))) {
+      for (const obj of payload[key]) {
+        await this.wallet.upsertObject(key.replace(/Objects$/, ''), obj);
+      }
+      payload[key] = payload[key].map(obj => ({ id: obj.id }));
+    }
+    return this.sign(payload);
+  }
+
+  /**
+   * Sign a JWT payload
+   * @param {Object} payload The JWT payload
+   * @returns {string} The signed JWT
+   */
+  sign(payload) {
+    const claims = {
+      iss: this.credentials.client_email,
+      aud: 'google',
+      origins: this.origins,
+      typ: 'savetowallet',
+      payload: payload,
+    };
+    const options = { algorithm: 'RS256' };
+    if (this.expiresIn) {
+      options.expiresIn = this.expiresIn;
+    }
+    return jwt.sign(claims, this.credentials.private_key, options);
+  }
+
+  /**
+   * Create the Add to Google Wallet link for a JWT
+   * @param {string} token The signed JWT
+   * @returns {string} The Add to Google Wallet link
+   */
+  link(token) {
+    return saveUrl + token;
+  }
+
+  /**
+   * Create an HTML Add to Google Wallet button for a JWT, for web pages to
+   *     show instead of redirecting to the link
+   * @param {string} token The signed JWT
+   * @returns {string} The HTML snippet
+   */
+  button(token) {
+    const href = this.link(token);
+    return `<a class="add-to-google-wallet" href="${href}" target="_blank" rel="noopener">Add to Google Wallet</a>`;
+  }
+}
+
+module.exports = JwtBuilder;
@@ -0,0 +1,58 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { CallbackVerifier } = require('../');
+const FakeWalletApi = require('../fake.js');
+
+const message = { classId: '1234.class', objectId: '1234.object', eventType: 'save' };
+
+let api;
+let verifier;
+
+beforeEach(async () => {
+  api = new FakeWalletApi();
+  await api.listen();
+  verifier = new CallbackVerifier({ issuerId: '1234', keysUrl: api.keysUrl });
+});
+
+afterEach(async () => {
+  await api.close();
+});
+
+test('a signed callback message is verified', async () => {
+  expect(await verifier.verify(api.callback('1234', message))).toMatchObject(message);
+});
+
+test('a callback message for another issuer is rejected', async () => {
+  await expect(verifier.verify(api.callback('5678', message))).rejects.toBe('Callback message signature is invalid');
+});
+
+test('a tampered callback message is rejected', async () => {
+  const body = api.callback('1234', message);
+  body.signedMessage = body.signedMessage.replace('save', 'del');
+  await expect(verifier.verify(body)).rejects.toBe('Callback message signature is invalid');
+});
+
+test('a callback signed by an unknown intermediate key is rejected', async () => {
+  const body = api.callback('1234', message);
+  body.intermediateSigningKey = new FakeWalletApi().callback('1234', message).intermediateSigningKey;
+  await expect(verifier.verify(body)).rejects.toBe('Callback intermediate signing key is not signed by Google');
+});
+
+test('an expired callback message is rejected', async () => {
+  const body = api.callback('1234', { ...message, expTimeMillis: Date.now() - 1 });
+  await expect(verifier.verify(body)).rejects.toBe('Callback message has expired');
+});
@@ -0,0 +1,91 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { WalletClient, JwtBuilder } = require('../');
+const FakeWalletApi = require('../fake.js');
+const { loadPass } = require('../../pass/tests/utils.js');
+
+const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const credentials = {
+  client_email: 'converter@example.iam.gserviceaccount.com',
+  private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+};
+
+let api;
+let wallet;
+
+beforeEach(async () => {
+  api = new FakeWalletApi();
+  wallet = new WalletClient({ url: await api.listen(), retries: 0 });
+});
+
+afterEach(async () => {
+  await api.close();
+});
+
+test('an inline JWT contains the whole pass, its origins and expiry', async () => {
+  const { googlePass } = await loadPass('event.pkpass');
+  const builder = new JwtBuilder({
+    credentials,
+    wallet,
+    strategy: 'inline',
+    origins: ['https://example.com'],
+    expiresIn: 3600,
+  });
+  const claims = jwt.decode(await builder.build(googlePass));
+  expect(claims.payload).toEqual(googlePass);
+  expect(claims.origins).toEqual(['https://example.com']);
+  expect(claims.exp - claims.iat).toBe(3600);
+  expect(api.requests).toHaveLength(0);
+});
+
+test('an API JWT only contains the object IDs', async () => {
+  const { googlePass } = await loadPass('event.pkpass');
+  const builder = new JwtBuilder({ credentials, wallet, strategy: 'api' });
+  const claims = jwt.decode(await builder.build(googlePass));
+  const obj = googlePass.eventTicketObjects[0];
+  expect(claims.payload).toEqual({ eventTicketObjects: [{ id: obj.id }] });
+  expect(claims.exp).toBeUndefined();
+  expect(api.get('eventTicketClass', googlePass.eventTicketClasses[0].id)).toEqual(googlePass.eventTicketClasses[0]);
+  expect(api.get('eventTicketObject', obj.id)).toEqual(obj);
+});
+
+test('an auto JWT saves the classes via the API when the pass is too long', async () => {
+  const { googlePass } = await loadPass('event.pkpass');
+  const inline = await new JwtBuilder({ credentials, wallet, strategy: 'inline' }).build(googlePass);
+  const builder = new JwtBuilder({ credentials, wallet, maxLength: inline.length - 1 });
+  const claims = jwt.decode(await builder.build(googlePass));
+  expect(claims.payload).toEqual({ eventTicketObjects: googlePass.eventTicketObjects });
+  expect(api.requests.map(request => `${request.method} ${request.resource}`)).toEqual([
+    'GET eventTicketClass',
+    'POST eventTicketClass',
+  ]);
+});
+
+test('an auto JWT contains the whole pass when it fits', async () => {
+  const { googlePass } = await loadPass('event.pkpass');
+  const builder = new JwtBuilder({ credentials, wallet, maxLength: 100000 });
+  expect(jwt.decode(await builder.build(googlePass)).payload).toEqual(googlePass);
+  expect(api.requests).toHaveLength(0);
+});
+
+test('a JWT button links to Google Wallet', () => {
+  const builder = new JwtBuilder({ credentials, wallet });
+  expect(builder.button('token')).toContain('href="https://pay.google.com/gp/v/save/token"');
+  expect(() => new JwtBuilder({ strategy: 'unknown' })).toThrow();
+});
@@ -0,0 +1,90 @@
+/*
+ * Copyright 2022 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { WalletClient, WalletApiError } = require('../');
+const FakeWalletApi = require('../fake.js');
+const { loadPass } = require('../../pass/tests/utils.js');
+
+let api;
+let wallet;
+
+beforeEach(async () => {
+  api = new FakeWalletApi();
+  wallet = new WalletClient({ url: await api.listen(), retries: 2, retryDelay: 1 });
+});
+
+afterEach(async () => {
+  await api.close();
+});
+
+test('a converted PKPass is saved to the Wallet API', async () => {
+  const { googlePass } = await loadPass('event.pkpass');
+  const cls = googlePass.eventTicketClasses[0];
+  const obj = googlePass.eventTicketObjects[0];
+  await wallet.upsertClass('eventTicket', cls);
+  await wallet.upsertObject('eventTicket', obj);
+  expect(api.get('eventTicketClass', cls.id)).toEqual(cls);
+  expect(await wallet.getObject('eventTicket', obj.id)).toEqual(obj);
+});
+
+test('upserting inserts a new object and patches an existing one', async () => {
+  await wallet.upsertObject('generic', { id: 'issuer.pass', state: 'ACTIVE', cardTitle: 'Title' });
+  await wallet.upsertObject('generic', { id: 'issuer.pass', state: 'COMPLETED' });
+  expect(api.get('genericObject', 'issuer.pass')).toEqual({
+    id: 'issuer.pass',
+    state: 'COMPLETED',
+    cardTitle: 'Title',
+  });
+  expect(api.requests.map(request => request.method)).toEqual(['GET', 'POST', 'GET', 'PATCH']);
+});
+
+test('a missing object is undefined', async () => {
+  expect(await wallet.getObject('generic', 'issuer.missing')).toBeUndefined();
+});
+
+test('rate limited and server errors are retried', async () => {
+  api.fail(429, 1, 0);
+  api.fail(503);
+  await wallet.upsertClass('generic', { id: 'issuer.class' });
+  expect(api.get('genericClass', 'issuer.class')).toEqual({ id: 'issuer.class' });
+  expect(api.requests.map(request => request.method)).toEqual(['GET', 'GET', 'GET', 'POST']);
+});
+
+test('an error is thrown when retries run out', async () => {
+  api.fail(500, 3);
+  await expect(wallet.getClass('generic', 'issuer.class')).rejects.toMatchObject({ status: 500, reason: 'INTERNAL' });
+  expect(api.requests).toHaveLength(3);
+});
+
+test('client errors are not retried', async () => {
+  const error = await wallet.upsertObject('generic', {}).catch(error => error);
+  expect(error).toBeInstanceOf(WalletApiError);
+  expect(error.status).toBe(400);
+  expect(error.reason).toBe('INVALID_ARGUMENT');
+  expect(api.requests.map(request => request.method)).toEqual(['GET', 'POST']);
+});
+
+test('a message is added to an object', async () => {
+  await wallet.upsertObject('generic', { id: 'issuer.pass', messages: [{ id: 'welcome' }] });
+  const obj = await wallet.addObjectMessage('generic', 'issuer.pass', { id: 'update', header: 'Gate changed' });
+  expect(obj.messages).toEqual([{ id: 'welcome' }, { id: 'update', header: 'Gate changed' }]);
+  expect(api.requests.pop()).toEqual({
+    method: 'POST',
+    resource: 'genericObject',
+    id: 'issuer.pass',
+    action: 'addMessage',
+  });
+});